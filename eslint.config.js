@@ -30,4 +30,11 @@ export default [
       ],
     },
   },
+  {
+    // Tests run in Node under vitest
+    files: ['**/*.test.{js,jsx}'],
+    languageOptions: {
+      globals: { ...globals.browser, ...globals.node },
+    },
+  },
 ]
@@ -1,34 +1,27 @@
-import { useState } from 'react'
-import reactLogo from './assets/react.svg'
-import viteLogo from '/vite.svg'
-import './App.css'
+import React from 'react'
+import { Routes, Route, Navigate } from 'react-router-dom'
+import ExperienceIndex from './components/ExperienceIndex'
+import XRShell from './components/XRShell'
+import ExperienceRoute from './components/ExperienceRoute'
+import { EXPERIENCES } from './experiences'
 
+// The index page at `/`, and every registered experience under one XR shell
+// so navigating between them keeps the session
 function App() {
-  const [count, setCount] = useState(0)
-
   return (
-    <>
-      <div>
-        <a href="https://vite.dev" target="_blank">
-          <img src={viteLogo} className="logo" alt="Vite logo" />
-        </a>
-        <a href="https://react.dev" target="_blank">
-          <img src={reactLogo} className="logo react" alt="React logo" />
-        </a>
-      </div>
-      <h1>Vite + React</h1>
-      <div className="card">
-        <button onClick={() => setCount((count) => count + 1)}>
-          count is {count}
-        </button>
-        <p>
-          Edit <code>src/App.jsx</code> and save to test HMR
-        </p>
-      </div>
-      <p className="read-the-docs">
-        Click on the Vite and React logos to learn more
-      </p>
-    </>
+    <Routes>
+      <Route path="/" element={<ExperienceIndex experiences={EXPERIENCES} />} />
+      <Route element={<XRShell experiences={EXPERIENCES} />}>
+        {EXPERIENCES.map((experience) => (
+          <Route
+            key={experience.path}
+            path={experience.path}
+            element={<ExperienceRoute key={experience.path} experience={experience} />}
+          />
+        ))}
+      </Route>
+      <Route path="*" element={<Navigate to="/" replace />} />
+    </Routes>
   )
 }
 
@@ -0,0 +1,71 @@
+// Runs the cloth solver off the main thread. Driven by workerClient.js: the
+// main thread sends frame deltas together with empty position/normal buffers,
+// and gets them back filled, transferred rather than copied.
+import { createCloth, computeNormals } from './solver.js'
+
+let cloth = null
+let topologyVersion = 0
+// Mesh collider fields arrive once, frames then refer to them by id
+const sdfs = new Map()
+
+self.onmessage = ({ data }) => {
+  switch (data.type) {
+    case 'init':
+      cloth = createCloth(data.options)
+      topologyVersion = 0
+      break
+
+    case 'sdf':
+      sdfs.set(data.id, data.sdf)
+      break
+
+    case 'options':
+      cloth?.setOptions(data.options)
+      break
+
+    case 'togglePin':
+      cloth?.togglePin(data.index)
+      break
+
+    case 'setPins':
+      cloth?.setPins(data.indices)
+      break
+
+    case 'grab':
+      cloth?.grab(data.index, data.target)
+      break
+
+    case 'moveGrab':
+      cloth?.moveGrab(data.target)
+      break
+
+    case 'release':
+      cloth?.release(data.velocity)
+      break
+
+    case 'frame': {
+      const { positions, normals } = data
+      // Torn cloth ships its new triangle indices along with the frame
+      let indices = null
+      if (cloth) {
+        for (const collider of data.colliders) {
+          if (collider.shape === 'mesh') collider.sdf = sdfs.get(collider.sdf)
+        }
+        cloth.setColliders(data.colliders)
+        if (data.pinTargets) cloth.setPinPositions(data.pinTargets.indices, data.pinTargets.targets)
+        cloth.advance(data.delta)
+        positions.set(cloth.getRenderPositions())
+        computeNormals(positions, cloth.indices, normals)
+        if (cloth.getTopologyVersion() !== topologyVersion) {
+          topologyVersion = cloth.getTopologyVersion()
+          indices = cloth.indices.slice()
+        }
+      }
+      self.postMessage({ type: 'frame', positions, normals, indices }, [positions.buffer, normals.buffer])
+      break
+    }
+
+    default:
+      console.warn('Unknown cloth worker message:', data.type)
+  }
+}
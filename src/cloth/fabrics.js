@@ -0,0 +1,139 @@
+// Fabric presets: how a cloth feels (solver parameters) and looks
+// (meshPhysicalMaterial parameters), as plain data. Stiffness is given per
+// constraint class rather than as the solver's base-plus-multipliers.
+export const FABRIC_PRESETS = {
+  silk: {
+    label: 'Silk',
+    stiffness: { structural: 0.3, shear: 0.1, bend: 0.02 },
+    damping: 0.995,
+    mass: 0.6,
+    tearStretch: 1.8,
+    material: {
+      roughness: 0.15,
+      sheen: 1.0,
+      sheenRoughness: 0.2,
+      transmission: 0.2,
+      clearcoat: 0.5,
+      clearcoatRoughness: 0.1,
+    },
+  },
+  cotton: {
+    label: 'Cotton',
+    stiffness: { structural: 0.4, shear: 0.3, bend: 0.1 },
+    damping: 0.99,
+    mass: 1.0,
+    tearStretch: 2.2,
+    material: {
+      roughness: 0.8,
+      sheen: 0.6,
+      sheenRoughness: 0.8,
+      transmission: 0.05,
+      clearcoat: 0,
+      clearcoatRoughness: 0.5,
+    },
+  },
+  denim: {
+    label: 'Denim',
+    stiffness: { structural: 0.8, shear: 0.7, bend: 0.4 },
+    damping: 0.985,
+    mass: 1.6,
+    tearStretch: 3.2,
+    material: {
+      roughness: 0.9,
+      sheen: 0.3,
+      sheenRoughness: 0.9,
+      transmission: 0,
+      clearcoat: 0,
+      clearcoatRoughness: 0.8,
+    },
+  },
+  'flag-nylon': {
+    label: 'Flag Nylon',
+    stiffness: { structural: 0.5, shear: 0.35, bend: 0.05 },
+    damping: 0.997,
+    mass: 0.4,
+    tearStretch: 2.5,
+    material: {
+      roughness: 0.35,
+      sheen: 0.8,
+      sheenRoughness: 0.4,
+      transmission: 0.1,
+      clearcoat: 0.3,
+      clearcoatRoughness: 0.3,
+    },
+  },
+  'canvas-sail': {
+    label: 'Canvas Sail',
+    stiffness: { structural: 0.9, shear: 0.8, bend: 0.5 },
+    damping: 0.992,
+    mass: 1.3,
+    tearStretch: 3.5,
+    material: {
+      roughness: 0.95,
+      sheen: 0.2,
+      sheenRoughness: 1.0,
+      transmission: 0.02,
+      clearcoat: 0,
+      clearcoatRoughness: 1.0,
+    },
+  },
+}
+
+// Adds a preset under `name`, or replaces one. Fields left out are taken from
+// cotton, so a custom preset only needs to state what makes it different.
+export function registerFabricPreset(name, preset) {
+  const base = FABRIC_PRESETS.cotton
+  FABRIC_PRESETS[name] = {
+    ...base,
+    label: name,
+    ...preset,
+    stiffness: { ...base.stiffness, ...preset.stiffness },
+    material: { ...base.material, ...preset.material },
+  }
+  return FABRIC_PRESETS[name]
+}
+
+export const getFabricPreset = (name) =>
+  Object.hasOwn(FABRIC_PRESETS, name) ? FABRIC_PRESETS[name] : undefined
+
+// `fabric` with its stiffnesses scaled so the structural one is `structural`,
+// keeping the shear and bend ratios
+export function withStructuralStiffness(fabric, structural) {
+  const scale = structural / fabric.stiffness.structural
+  return {
+    ...fabric,
+    stiffness: {
+      structural,
+      shear: fabric.stiffness.shear * scale,
+      bend: fabric.stiffness.bend * scale,
+    },
+  }
+}
+
+// Live solver options for `fabric`
+export function fabricToSolverOptions(fabric) {
+  const { structural, shear, bend } = fabric.stiffness
+  return {
+    stiffness: structural,
+    shearStiffness: shear / structural,
+    bendStiffness: bend / structural,
+    damping: fabric.damping,
+    mass: fabric.mass,
+    tearStretch: fabric.tearStretch,
+  }
+}
+
+// Linear blend of two fabrics, `t` going from 0 (`from`) to 1 (`to`)
+export function blendFabrics(from, to, t) {
+  const blend = (a, b) => (a === undefined ? b : a + (b - a) * t)
+  const blendAll = (a, b) => Object.fromEntries(Object.keys(b).map((key) => [key, blend(a[key], b[key])]))
+
+  return {
+    ...to,
+    stiffness: blendAll(from.stiffness, to.stiffness),
+    damping: blend(from.damping, to.damping),
+    mass: blend(from.mass, to.mass),
+    tearStretch: blend(from.tearStretch, to.tearStretch),
+    material: blendAll(from.material, to.material),
+  }
+}
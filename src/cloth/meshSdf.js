@@ -0,0 +1,233 @@
+// Signed distance fields of triangle meshes, for cloth colliders shaped like
+// arbitrary props. Distances are sampled on a regular grid around the mesh:
+// exact near the surface, propagated outward with a chamfer pass, and made
+// negative inside by ray parity, so meshes should be closed.
+
+// Cells of padding around the mesh, covering the collision margin
+const PADDING = 3
+
+const write = (out, x, y, z) => {
+  out[0] = x
+  out[1] = y
+  out[2] = z
+}
+
+const lerp = (a, b, t) => a + (b - a) * t
+
+// Closest point on triangle abc to p, written into `out` (Ericson, Real-Time
+// Collision Detection 5.1.5)
+function closestPointOnTriangle(out, px, py, pz, ax, ay, az, bx, by, bz, cx, cy, cz) {
+  const abx = bx - ax
+  const aby = by - ay
+  const abz = bz - az
+  const acx = cx - ax
+  const acy = cy - ay
+  const acz = cz - az
+  const apx = px - ax
+  const apy = py - ay
+  const apz = pz - az
+  const d1 = abx * apx + aby * apy + abz * apz
+  const d2 = acx * apx + acy * apy + acz * apz
+  if (d1 <= 0 && d2 <= 0) return write(out, ax, ay, az)
+
+  const bpx = px - bx
+  const bpy = py - by
+  const bpz = pz - bz
+  const d3 = abx * bpx + aby * bpy + abz * bpz
+  const d4 = acx * bpx + acy * bpy + acz * bpz
+  if (d3 >= 0 && d4 <= d3) return write(out, bx, by, bz)
+
+  const vc = d1 * d4 - d3 * d2
+  if (vc <= 0 && d1 >= 0 && d3 <= 0) {
+    const v = d1 / (d1 - d3)
+    return write(out, ax + abx * v, ay + aby * v, az + abz * v)
+  }
+
+  const cpx = px - cx
+  const cpy = py - cy
+  const cpz = pz - cz
+  const d5 = abx * cpx + aby * cpy + abz * cpz
+  const d6 = acx * cpx + acy * cpy + acz * cpz
+  if (d6 >= 0 && d5 <= d6) return write(out, cx, cy, cz)
+
+  const vb = d5 * d2 - d1 * d6
+  if (vb <= 0 && d2 >= 0 && d6 <= 0) {
+    const w = d2 / (d2 - d6)
+    return write(out, ax + acx * w, ay + acy * w, az + acz * w)
+  }
+
+  const va = d3 * d6 - d5 * d4
+  if (va <= 0 && d4 - d3 >= 0 && d5 - d6 >= 0) {
+    const w = (d4 - d3) / (d4 - d3 + (d5 - d6))
+    return write(out, bx + (cx - bx) * w, by + (cy - by) * w, bz + (cz - bz) * w)
+  }
+
+  const denominator = 1 / (va + vb + vc)
+  const v = vb * denominator
+  const w = vc * denominator
+  return write(out, ax + abx * v + acx * w, ay + aby * v + acy * w, az + abz * v + acz * w)
+}
+
+// Builds the field of a mesh given as flat `positions` and triangle `indices`
+// (null for non-indexed), scaled by `scale` first so distances stay true under
+// non-uniform scaling. `resolution` is the cell count along the longest side.
+export function createMeshSdf(positions, indices, { scale = [1, 1, 1], resolution = 48 } = {}) {
+  const vertexCount = positions.length / 3
+  const points = new Float64Array(positions.length)
+  const min = [Infinity, Infinity, Infinity]
+  const max = [-Infinity, -Infinity, -Infinity]
+  for (let i = 0; i < vertexCount; i++) {
+    for (let axis = 0; axis < 3; axis++) {
+      const value = positions[i * 3 + axis] * scale[axis]
+      points[i * 3 + axis] = value
+      min[axis] = Math.min(min[axis], value)
+      max[axis] = Math.max(max[axis], value)
+    }
+  }
+  const triangles = indices || Uint32Array.from({ length: vertexCount }, (_, i) => i)
+
+  const cellSize = Math.max(max[0] - min[0], max[1] - min[1], max[2] - min[2]) / resolution
+  const origin = min.map((value) => value - PADDING * cellSize)
+  const dims = min.map((value, axis) => Math.ceil((max[axis] - value) / cellSize) + 2 * PADDING + 1)
+  const [nx, ny, nz] = dims
+  const cellIndex = (i, j, k) => (k * ny + j) * nx + i
+  const distances = new Float32Array(nx * ny * nz).fill(Infinity)
+
+  // Exact unsigned distances within PADDING cells of each triangle
+  const closest = new Float64Array(3)
+  for (let t = 0; t < triangles.length; t += 3) {
+    const a = triangles[t] * 3
+    const b = triangles[t + 1] * 3
+    const c = triangles[t + 2] * 3
+    const lower = [0, 1, 2].map((axis) =>
+      Math.max(0, Math.floor((Math.min(points[a + axis], points[b + axis], points[c + axis]) - origin[axis]) / cellSize) - PADDING))
+    const upper = [0, 1, 2].map((axis) =>
+      Math.min(dims[axis] - 1, Math.ceil((Math.max(points[a + axis], points[b + axis], points[c + axis]) - origin[axis]) / cellSize) + PADDING))
+
+    for (let k = lower[2]; k <= upper[2]; k++) {
+      for (let j = lower[1]; j <= upper[1]; j++) {
+        for (let i = lower[0]; i <= upper[0]; i++) {
+          const px = origin[0] + i * cellSize
+          const py = origin[1] + j * cellSize
+          const pz = origin[2] + k * cellSize
+          closestPointOnTriangle(closest, px, py, pz,
+            points[a], points[a + 1], points[a + 2],
+            points[b], points[b + 1], points[b + 2],
+            points[c], points[c + 1], points[c + 2])
+          const distance = Math.hypot(px - closest[0], py - closest[1], pz - closest[2])
+          const cell = cellIndex(i, j, k)
+          if (distance < distances[cell]) distances[cell] = distance
+        }
+      }
+    }
+  }
+
+  // Chamfer passes carry approximate distances to the rest of the grid, so
+  // particles deep inside still get pushed toward the nearest surface
+  const offsets = []
+  for (let dz = -1; dz <= 1; dz++) {
+    for (let dy = -1; dy <= 1; dy++) {
+      for (let dx = -1; dx <= 1; dx++) {
+        if (dz < 0 || (dz === 0 && (dy < 0 || (dy === 0 && dx < 0)))) {
+          offsets.push([dx, dy, dz, Math.hypot(dx, dy, dz) * cellSize])
+        }
+      }
+    }
+  }
+  const relax = (i, j, k, sign) => {
+    const cell = cellIndex(i, j, k)
+    for (const [dx, dy, dz, weight] of offsets) {
+      const si = i + dx * sign
+      const sj = j + dy * sign
+      const sk = k + dz * sign
+      if (si < 0 || sj < 0 || sk < 0 || si >= nx || sj >= ny || sk >= nz) continue
+      const candidate = distances[cellIndex(si, sj, sk)] + weight
+      if (candidate < distances[cell]) distances[cell] = candidate
+    }
+  }
+  for (let k = 0; k < nz; k++) {
+    for (let j = 0; j < ny; j++) {
+      for (let i = 0; i < nx; i++) relax(i, j, k, 1)
+    }
+  }
+  for (let k = nz - 1; k >= 0; k--) {
+    for (let j = ny - 1; j >= 0; j--) {
+      for (let i = nx - 1; i >= 0; i--) relax(i, j, k, -1)
+    }
+  }
+
+  // Inside cells have an odd number of surface crossings further along +Z.
+  // Columns are nudged off the grid lines so rays don't graze shared edges.
+  const crossings = []
+  for (let j = 0; j < ny; j++) {
+    for (let i = 0; i < nx; i++) {
+      const x = origin[0] + (i + 1e-4) * cellSize
+      const y = origin[1] + (j + 2e-4) * cellSize
+      crossings.length = 0
+      for (let t = 0; t < triangles.length; t += 3) {
+        const a = triangles[t] * 3
+        const b = triangles[t + 1] * 3
+        const c = triangles[t + 2] * 3
+        // Barycentric coordinates of (x, y) in the triangle's XY projection
+        const v0x = points[b] - points[a]
+        const v0y = points[b + 1] - points[a + 1]
+        const v1x = points[c] - points[a]
+        const v1y = points[c + 1] - points[a + 1]
+        const area = v0x * v1y - v1x * v0y
+        if (area === 0) continue
+        const rx = x - points[a]
+        const ry = y - points[a + 1]
+        const u = (rx * v1y - v1x * ry) / area
+        const v = (v0x * ry - rx * v0y) / area
+        if (u < 0 || v < 0 || u + v > 1) continue
+        crossings.push(points[a + 2] + u * (points[b + 2] - points[a + 2]) + v * (points[c + 2] - points[a + 2]))
+      }
+      if (crossings.length < 2) continue
+
+      for (let k = 0; k < nz; k++) {
+        const z = origin[2] + k * cellSize
+        let above = 0
+        for (const crossing of crossings) if (crossing > z) above++
+        if (above % 2 === 1) distances[cellIndex(i, j, k)] *= -1
+      }
+    }
+  }
+
+  return {
+    origin,
+    cellSize,
+    dims,
+    distances,
+    // Field bounds, outside which nothing collides
+    min: origin,
+    max: origin.map((value, axis) => value + (dims[axis] - 1) * cellSize),
+  }
+}
+
+// Whether (x, y, z) lies within the sampled grid of `sdf`
+export function isInsideSdfBounds(sdf, x, y, z) {
+  const { min, max } = sdf
+  return x >= min[0] && y >= min[1] && z >= min[2] && x <= max[0] && y <= max[1] && z <= max[2]
+}
+
+// Trilinearly interpolated distance at (x, y, z), clamped to the grid
+export function sampleSdf(sdf, x, y, z) {
+  const { origin, cellSize, dims, distances } = sdf
+  const [nx, ny, nz] = dims
+  const fx = Math.min(nx - 1.001, Math.max(0, (x - origin[0]) / cellSize))
+  const fy = Math.min(ny - 1.001, Math.max(0, (y - origin[1]) / cellSize))
+  const fz = Math.min(nz - 1.001, Math.max(0, (z - origin[2]) / cellSize))
+  const i = Math.floor(fx)
+  const j = Math.floor(fy)
+  const k = Math.floor(fz)
+  const tx = fx - i
+  const ty = fy - j
+  const tz = fz - k
+
+  const c = (k * ny + j) * nx + i
+  const x00 = lerp(distances[c], distances[c + 1], tx)
+  const x10 = lerp(distances[c + nx], distances[c + nx + 1], tx)
+  const x01 = lerp(distances[c + nx * ny], distances[c + nx * ny + 1], tx)
+  const x11 = lerp(distances[c + nx * ny + nx], distances[c + nx * ny + nx + 1], tx)
+  return lerp(lerp(x00, x10, ty), lerp(x01, x11, ty), tz)
+}
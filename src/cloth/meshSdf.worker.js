@@ -0,0 +1,9 @@
+// Builds mesh distance fields off the main thread, where a large mesh would
+// stall rendering and the camera for a noticeable moment. Gets a mesh from
+// colliders.js and sends its field back, the distances transferred.
+import { createMeshSdf } from './meshSdf.js'
+
+self.onmessage = ({ data }) => {
+  const sdf = createMeshSdf(data.positions, data.indices, { resolution: data.resolution })
+  self.postMessage(sdf, [sdf.distances.buffer])
+}
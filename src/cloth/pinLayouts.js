@@ -0,0 +1,34 @@
+// Named pin layouts. Each is a predicate on grid coordinates, usable as the
+// solver's `pin` option; `spacing` thins out rows of pins.
+export const PIN_LAYOUTS = {
+  'top-edge': (x, y, segmentsX, segmentsY, spacing = 1) =>
+    y === 0 && (x % spacing === 0 || x === segmentsX),
+  'two-corners': (x, y, segmentsX) => y === 0 && (x === 0 || x === segmentsX),
+  'single-corner': (x, y) => y === 0 && x === 0,
+  none: () => false,
+}
+
+export const PIN_LAYOUT_LABELS = {
+  'top-edge': 'Top Edge',
+  'two-corners': 'Two Corners',
+  'single-corner': 'Single Corner',
+  none: 'None (Free Fall)',
+}
+
+// Pin predicate for `layout`, falling back to the top edge for unknown names
+export function getPinLayout(layout, spacing = 1) {
+  const predicate = PIN_LAYOUTS[layout] || PIN_LAYOUTS['top-edge']
+  return (x, y, segmentsX, segmentsY) => predicate(x, y, segmentsX, segmentsY, spacing)
+}
+
+// Vertex indices pinned by `layout` on a segmentsX x segmentsY grid
+export function resolvePinLayout(layout, { segmentsX, segmentsY, pinSpacing = 1 }) {
+  const predicate = getPinLayout(layout, pinSpacing)
+  const pinned = []
+  for (let y = 0; y <= segmentsY; y++) {
+    for (let x = 0; x <= segmentsX; x++) {
+      if (predicate(x, y, segmentsX, segmentsY)) pinned.push(y * (segmentsX + 1) + x)
+    }
+  }
+  return pinned
+}
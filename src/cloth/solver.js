@@ -0,0 +1,858 @@
+// Headless Verlet cloth solver.
+// Plain JavaScript with no React or three.js dependency, so the same physics can
+// drive the R3F components, run in Node, or be reused outside the AR scene.
+import { createSpatialHash } from './spatialHash.js'
+import { isInsideSdfBounds, sampleSdf } from './meshSdf.js'
+
+const DEFAULT_OPTIONS = {
+  width: 2,
+  height: 2,
+  segmentsX: 25,
+  segmentsY: 25,
+  hang: false, // Lay the grid out vertically, rows going down from y = 0, instead of flat
+  damping: 0.99,
+  stiffness: 0.4,
+  shearStiffness: 1, // Multiplier of `stiffness` for diagonal constraints
+  bendStiffness: 1, // Multiplier of `stiffness` for skip-one constraints
+  gravity: -9.8, // Units per second², meters in AR
+  windStrength: 2,
+  windIntensity: 1.0,
+  windDirection: { x: 0, z: 0 }, // Steady wind, scaled by windStrength
+  windTurbulence: 1.0, // Scale of the gusty wind model on top of it
+  windModel: 'basic',
+  iterations: 4, // Constraint passes per substep
+  timestep: 1 / 60, // Fixed step length in seconds; damping is per step of this length
+  substeps: 1, // Integration substeps per fixed step
+  maxSteps: 4, // Catch-up clamp: time beyond this many steps per frame is dropped
+  mass: 1.0,
+  massVariance: 0, // Random +/- spread applied to each vertex mass
+  pin: (x, y) => y === 0 && x % 5 === 0,
+  collisionMargin: 0.05, // Gap kept between particles and colliders without their own margin
+  selfCollision: false,
+  thickness: 0.06, // Minimum distance kept between particles by self-collision
+  selfCollisionBudget: 2500, // Self-collision is skipped for grids with more vertices
+  grabStiffness: 0.3, // Fraction of the gap to a grab target closed per substep
+  tearing: false,
+  tearStretch: 2.5, // Constraints stretched past restLength * tearStretch tear
+  maxTearsPerStep: 4,
+  tearCapacity: 0.5, // Room for vertices split off by tearing, relative to the grid
+}
+
+// Wind fields, returning the force on a vertex at (x, y, z) at `time`
+const WIND_MODELS = {
+  basic: (out, x, y, z, time, strength) => {
+    const windTime = time * 0.5
+    out[0] = (Math.sin(windTime * 2 + x * 3) + Math.sin(windTime * 3.2 + z * 2)) * strength
+    out[1] = Math.sin(windTime * 1.5 + x * 4 + z * 3) * strength * 0.3
+    out[2] = (Math.cos(windTime * 1.8 + x * 2.5) + Math.cos(windTime * 2.3 + z * 1.8)) * strength * 0.7
+  },
+  advanced: (out, x, y, z, time, strength) => {
+    const windTime = time * 0.3
+    out[0] = Math.sin(windTime * 2.1 + x * 4) * Math.cos(windTime * 1.7 + z * 3) * strength
+    out[1] = Math.sin(windTime * 1.3 + y * 5) * Math.cos(windTime * 2.4 + x * 2) * strength * 0.3
+    out[2] = Math.cos(windTime * 1.8 + z * 2.5) * Math.sin(windTime * 3.1 + y * 1.5) * strength * 0.8
+  },
+}
+
+// Rest positions, triangle indices and pinned vertex indices of the cloth grid.
+// `pin` is either a predicate on grid coordinates or a list of vertex indices,
+// the latter being what crosses the worker boundary.
+export function createClothGrid(userOptions = {}) {
+  const { width, height, segmentsX, segmentsY, hang, pin } = { ...DEFAULT_OPTIONS, ...userOptions }
+  const columns = segmentsX + 1
+
+  // Vertices lie in the XZ plane, or the XY plane when hanging, from the y = 0 row
+  const positions = new Float32Array(columns * (segmentsY + 1) * 3)
+  const pinned = []
+  for (let y = 0; y <= segmentsY; y++) {
+    for (let x = 0; x <= segmentsX; x++) {
+      const index = y * columns + x
+      positions[index * 3] = (x / segmentsX - 0.5) * width
+      positions[index * 3 + 1] = hang ? -(y / segmentsY) * height : 0
+      positions[index * 3 + 2] = hang ? 0 : (y / segmentsY) * height
+      if (typeof pin === 'function' && pin(x, y, segmentsX, segmentsY)) pinned.push(index)
+    }
+  }
+
+  const indices = new Uint32Array(segmentsX * segmentsY * 6)
+  let cursor = 0
+  for (let y = 0; y < segmentsY; y++) {
+    for (let x = 0; x < segmentsX; x++) {
+      const a = y * columns + x
+      const b = a + 1
+      const c = a + columns
+      const d = c + 1
+      indices[cursor++] = a
+      indices[cursor++] = c
+      indices[cursor++] = b
+      indices[cursor++] = b
+      indices[cursor++] = c
+      indices[cursor++] = d
+    }
+  }
+
+  return { positions, indices, pinned: Array.isArray(pin) ? pin.slice() : pinned }
+}
+
+// Number of vertices the solver allocates room for, including the ones that
+// tearing may split off. Position buffers exchanged with it have this length.
+export function getVertexCapacity(userOptions = {}) {
+  const { segmentsX, segmentsY, tearCapacity } = { ...DEFAULT_OPTIONS, ...userOptions }
+  const gridVertices = (segmentsX + 1) * (segmentsY + 1)
+  return gridVertices + Math.ceil(gridVertices * tearCapacity)
+}
+
+// Area-weighted vertex normals, same result as BufferGeometry.computeVertexNormals
+export function computeNormals(positions, indices, normals) {
+  normals.fill(0)
+  for (let i = 0; i < indices.length; i += 3) {
+    const a = indices[i] * 3
+    const b = indices[i + 1] * 3
+    const c = indices[i + 2] * 3
+    const abx = positions[b] - positions[a]
+    const aby = positions[b + 1] - positions[a + 1]
+    const abz = positions[b + 2] - positions[a + 2]
+    const acx = positions[c] - positions[a]
+    const acy = positions[c + 1] - positions[a + 1]
+    const acz = positions[c + 2] - positions[a + 2]
+    // (b - a) x (c - a), the same winding three.js uses
+    const nx = aby * acz - abz * acy
+    const ny = abz * acx - abx * acz
+    const nz = abx * acy - aby * acx
+    normals[a] += nx
+    normals[a + 1] += ny
+    normals[a + 2] += nz
+    normals[b] += nx
+    normals[b + 1] += ny
+    normals[b + 2] += nz
+    normals[c] += nx
+    normals[c + 1] += ny
+    normals[c + 2] += nz
+  }
+  for (let i = 0; i < normals.length; i += 3) {
+    const length = Math.sqrt(normals[i] ** 2 + normals[i + 1] ** 2 + normals[i + 2] ** 2) || 1
+    normals[i] /= length
+    normals[i + 1] /= length
+    normals[i + 2] /= length
+  }
+  return normals
+}
+
+// Constraint classes, each with its own stiffness multiplier
+const STRUCTURAL = 0
+const SHEAR = 1
+const BEND = 2
+
+// Upper bound on particles gathered per self-collision query
+const MAX_NEIGHBOURS = 128
+
+// Output of rotate(), reused to keep collision tests allocation-free
+const rotated = new Float64Array(3)
+
+// Rotates (x, y, z) by the unit quaternion (qx, qy, qz, qw) into `rotated`
+function rotate(x, y, z, qx, qy, qz, qw) {
+  const tx = 2 * (qy * z - qz * y)
+  const ty = 2 * (qz * x - qx * z)
+  const tz = 2 * (qx * y - qy * x)
+  rotated[0] = x + qw * tx + (qy * tz - qz * ty)
+  rotated[1] = y + qw * ty + (qz * tx - qx * tz)
+  rotated[2] = z + qw * tz + (qx * ty - qy * tx)
+}
+
+// The solver state is kept in flat typed arrays (structure of arrays) and every
+// step works on them in place, so stepping allocates nothing.
+export function createCloth(userOptions = {}) {
+  const options = { ...DEFAULT_OPTIONS, ...userOptions }
+  const { segmentsX, segmentsY } = options
+  const columns = segmentsX + 1
+  const grid = createClothGrid(options)
+  const { indices } = grid
+  const vertexCapacity = getVertexCapacity(options)
+  let vertexCount = grid.positions.length / 3
+
+  // Per vertex, sized for the vertices tearing can add
+  const positions = new Float32Array(vertexCapacity * 3)
+  positions.set(grid.positions)
+  const oldPositions = positions.slice()
+  const restPositions = positions.slice()
+  const accelerations = new Float32Array(vertexCapacity * 3)
+  const masses = new Float32Array(vertexCapacity)
+  const pinned = new Uint8Array(vertexCapacity)
+
+  for (let i = 0; i < vertexCount; i++) {
+    masses[i] = options.mass + (Math.random() * 2 - 1) * options.massVariance
+  }
+  for (const index of grid.pinned) pinned[index] = 1
+
+  // Per constraint: endpoint index pairs, rest length, class and state
+  const maxConstraints = columns * (segmentsY + 1) * 6
+  const constraintA = new Uint32Array(maxConstraints)
+  const constraintB = new Uint32Array(maxConstraints)
+  const restLengths = new Float32Array(maxConstraints)
+  const constraintClasses = new Uint8Array(maxConstraints)
+  const active = new Uint8Array(maxConstraints)
+  let constraintCount = 0
+  // Per vertex, how many active structural constraints hold it to the cloth
+  const structuralLinks = new Uint8Array(vertexCapacity)
+
+  const link = (a, b, constraintClass) => {
+    const dx = positions[b * 3] - positions[a * 3]
+    const dy = positions[b * 3 + 1] - positions[a * 3 + 1]
+    const dz = positions[b * 3 + 2] - positions[a * 3 + 2]
+    constraintA[constraintCount] = a
+    constraintB[constraintCount] = b
+    restLengths[constraintCount] = Math.sqrt(dx * dx + dy * dy + dz * dz)
+    constraintClasses[constraintCount] = constraintClass
+    active[constraintCount] = 1
+    if (constraintClass === STRUCTURAL) {
+      structuralLinks[a]++
+      structuralLinks[b]++
+    }
+    constraintCount++
+  }
+
+  for (let y = 0; y <= segmentsY; y++) {
+    for (let x = 0; x <= segmentsX; x++) {
+      const index = y * columns + x
+
+      if (x < segmentsX) link(index, index + 1, STRUCTURAL)
+      if (y < segmentsY) link(index, index + columns, STRUCTURAL)
+
+      if (x < segmentsX && y < segmentsY) {
+        link(index, index + columns + 1, SHEAR)
+        link(index + 1, index + columns, SHEAR)
+      }
+
+      if (x < segmentsX - 1) link(index, index + 2, BEND)
+      if (y < segmentsY - 1) link(index, index + columns * 2, BEND)
+    }
+  }
+
+  const previousPositions = positions.slice()
+  const renderPositions = positions.slice()
+  const stiffnesses = new Float32Array(3)
+  const wind = new Float32Array(3)
+  let colliders = []
+  // Contact normal and penetration depth written by the collider tests
+  const contact = { nx: 0, ny: 0, nz: 0, depth: 0 }
+  const grab = { index: -1, x: 0, y: 0, z: 0 }
+  const selfHash = createSpatialHash(vertexCapacity)
+  const neighbours = new Int32Array(MAX_NEIGHBOURS)
+  let time = 0
+  let accumulator = 0
+  let topologyVersion = 0
+  let pinnedList = []
+  let pinVersion = 0
+
+  const refreshPinnedList = () => {
+    pinnedList = []
+    for (let i = 0; i < vertexCount; i++) {
+      if (pinned[i]) pinnedList.push(i)
+    }
+    pinVersion++
+  }
+
+  // Vertices that get pinned or released start from rest where they are
+  const setPinned = (index, value) => {
+    if (index < 0 || index >= vertexCount) return
+    pinned[index] = value ? 1 : 0
+    for (let p = index * 3; p < index * 3 + 3; p++) {
+      oldPositions[p] = positions[p]
+      accelerations[p] = 0
+    }
+  }
+
+  refreshPinnedList()
+
+  // Contact against a sphere of `radius` around (cx, cy, cz)
+  const touchSphere = (p, cx, cy, cz, radius, margin) => {
+    const dx = positions[p] - cx
+    const dy = positions[p + 1] - cy
+    const dz = positions[p + 2] - cz
+    const distance = Math.sqrt(dx * dx + dy * dy + dz * dz)
+    const minDistance = radius + margin
+    if (distance >= minDistance || distance === 0) return false
+
+    contact.nx = dx / distance
+    contact.ny = dy / distance
+    contact.nz = dz / distance
+    contact.depth = minDistance - distance
+    return true
+  }
+
+  const touchPlane = (p, collider, margin) => {
+    const { nx, ny, nz } = collider
+    const distance =
+      (positions[p] - collider.x) * nx +
+      (positions[p + 1] - collider.y) * ny +
+      (positions[p + 2] - collider.z) * nz
+    if (distance >= margin) return false
+
+    contact.nx = nx
+    contact.ny = ny
+    contact.nz = nz
+    contact.depth = margin - distance
+    return true
+  }
+
+  // Capsules are spheres swept from (ax, ay, az) to (bx, by, bz)
+  const touchCapsule = (p, collider, margin) => {
+    const { ax, ay, az } = collider
+    const abx = collider.bx - ax
+    const aby = collider.by - ay
+    const abz = collider.bz - az
+    const lengthSq = abx * abx + aby * aby + abz * abz
+    const t = lengthSq > 0
+      ? Math.min(1, Math.max(0, ((positions[p] - ax) * abx + (positions[p + 1] - ay) * aby + (positions[p + 2] - az) * abz) / lengthSq))
+      : 0
+    return touchSphere(p, ax + abx * t, ay + aby * t, az + abz * t, collider.radius, margin)
+  }
+
+  // Oriented boxes have half extents (hx, hy, hz) and rotation (qx, qy, qz, qw)
+  const touchBox = (p, collider, margin) => {
+    const { qx, qy, qz, qw, hx, hy, hz } = collider
+    // Particle in box space, rotating by the conjugate quaternion
+    rotate(positions[p] - collider.x, positions[p + 1] - collider.y, positions[p + 2] - collider.z, -qx, -qy, -qz, qw)
+    const lx = rotated[0]
+    const ly = rotated[1]
+    const lz = rotated[2]
+
+    const dx = lx - Math.min(hx, Math.max(-hx, lx))
+    const dy = ly - Math.min(hy, Math.max(-hy, ly))
+    const dz = lz - Math.min(hz, Math.max(-hz, lz))
+    const distance = Math.sqrt(dx * dx + dy * dy + dz * dz)
+    if (distance >= margin) return false
+
+    if (distance > 0) {
+      rotate(dx / distance, dy / distance, dz / distance, qx, qy, qz, qw)
+      contact.depth = margin - distance
+    } else {
+      // Inside: leave through the nearest face
+      const fx = hx - Math.abs(lx)
+      const fy = hy - Math.abs(ly)
+      const fz = hz - Math.abs(lz)
+      if (fx <= fy && fx <= fz) {
+        rotate(Math.sign(lx) || 1, 0, 0, qx, qy, qz, qw)
+        contact.depth = fx + margin
+      } else if (fy <= fz) {
+        rotate(0, Math.sign(ly) || 1, 0, qx, qy, qz, qw)
+        contact.depth = fy + margin
+      } else {
+        rotate(0, 0, Math.sign(lz) || 1, qx, qy, qz, qw)
+        contact.depth = fz + margin
+      }
+    }
+    contact.nx = rotated[0]
+    contact.ny = rotated[1]
+    contact.nz = rotated[2]
+    return true
+  }
+
+  // Meshes are signed distance fields from meshSdf.js, placed at (x, y, z)
+  // with rotation (qx, qy, qz, qw) and scale (sx, sy, sz)
+  const touchMesh = (p, collider, margin) => {
+    const { sdf, qx, qy, qz, qw, sx = 1, sy = 1, sz = 1 } = collider
+    rotate(positions[p] - collider.x, positions[p + 1] - collider.y, positions[p + 2] - collider.z, -qx, -qy, -qz, qw)
+    const lx = rotated[0] / sx
+    const ly = rotated[1] / sy
+    const lz = rotated[2] / sz
+    if (!isInsideSdfBounds(sdf, lx, ly, lz)) return false
+
+    // Scaled, the true distance lies between the field's scaled by the
+    // smallest and by the largest factor
+    const local = sampleSdf(sdf, lx, ly, lz)
+    const minScale = Math.min(sx, sy, sz)
+    const maxScale = Math.max(sx, sy, sz)
+    if (local * minScale >= margin) return false
+
+    // The field's gradient points away from the surface. Scaling the mesh
+    // divides it by the scale, which also gives the distance to first order
+    // (exact under uniform scale and along flat faces).
+    const h = sdf.cellSize * 0.5
+    const gx = (sampleSdf(sdf, lx + h, ly, lz) - sampleSdf(sdf, lx - h, ly, lz)) / sx
+    const gy = (sampleSdf(sdf, lx, ly + h, lz) - sampleSdf(sdf, lx, ly - h, lz)) / sy
+    const gz = (sampleSdf(sdf, lx, ly, lz + h) - sampleSdf(sdf, lx, ly, lz - h)) / sz
+    const length = Math.sqrt(gx * gx + gy * gy + gz * gz)
+    const estimate = length > 0 ? (local * 2 * h) / length : local * minScale
+    const distance = local > 0
+      ? Math.min(local * maxScale, Math.max(local * minScale, estimate))
+      : Math.min(local * minScale, Math.max(local * maxScale, estimate))
+    if (distance >= margin) return false
+
+    if (length > 0) {
+      rotate(gx / length, gy / length, gz / length, qx, qy, qz, qw)
+    } else {
+      rotate(0, 1, 0, qx, qy, qz, qw)
+    }
+    contact.nx = rotated[0]
+    contact.ny = rotated[1]
+    contact.nz = rotated[2]
+    contact.depth = margin - distance
+    return true
+  }
+
+  const touch = (p, collider) => {
+    const margin = collider.margin ?? options.collisionMargin
+    switch (collider.shape) {
+      case 'plane': return touchPlane(p, collider, margin)
+      case 'sphere': return touchSphere(p, collider.x, collider.y, collider.z, collider.radius, margin)
+      case 'capsule': return touchCapsule(p, collider, margin)
+      case 'box': return touchBox(p, collider, margin)
+      case 'mesh': return touchMesh(p, collider, margin)
+      default: return false
+    }
+  }
+
+  // Moves particles out of every collider, then trims their velocity: friction
+  // removes part of the sliding motion and restitution reflects part of the
+  // motion into the surface
+  const collideColliders = () => {
+    for (let c = 0; c < colliders.length; c++) {
+      const collider = colliders[c]
+      const friction = collider.friction ?? 0
+      const restitution = collider.restitution ?? 0
+
+      for (let i = 0; i < vertexCount; i++) {
+        if (pinned[i] || i === grab.index) continue
+        const p = i * 3
+        if (!touch(p, collider)) continue
+
+        const { nx, ny, nz, depth } = contact
+        positions[p] += nx * depth
+        positions[p + 1] += ny * depth
+        positions[p + 2] += nz * depth
+
+        const vx = positions[p] - oldPositions[p]
+        const vy = positions[p + 1] - oldPositions[p + 1]
+        const vz = positions[p + 2] - oldPositions[p + 2]
+        const vn = vx * nx + vy * ny + vz * nz
+        const normalScale = vn < 0 ? -restitution : 1
+        const tangentScale = 1 - friction
+        oldPositions[p] = positions[p] - ((vx - nx * vn) * tangentScale + nx * vn * normalScale)
+        oldPositions[p + 1] = positions[p + 1] - ((vy - ny * vn) * tangentScale + ny * vn * normalScale)
+        oldPositions[p + 2] = positions[p + 2] - ((vz - nz * vn) * tangentScale + nz * vn * normalScale)
+      }
+    }
+  }
+
+  // Pushes apart every pair of particles closer than `thickness`, except pairs
+  // that are already that close in the rest pose (direct grid neighbours)
+  const collideSelf = () => {
+    const { thickness } = options
+    const thickness2 = thickness * thickness
+    selfHash.build(positions, vertexCount, thickness)
+
+    for (let i = 0; i < vertexCount; i++) {
+      const p = i * 3
+      const count = selfHash.query(positions[p], positions[p + 1], positions[p + 2], thickness, neighbours)
+
+      for (let k = 0; k < count; k++) {
+        const j = neighbours[k]
+        if (j <= i || (pinned[i] && pinned[j])) continue
+
+        const q = j * 3
+        const dx = positions[p] - positions[q]
+        const dy = positions[p + 1] - positions[q + 1]
+        const dz = positions[p + 2] - positions[q + 2]
+        const distance2 = dx * dx + dy * dy + dz * dz
+        if (distance2 >= thickness2 || distance2 === 0) continue
+
+        const rx = restPositions[p] - restPositions[q]
+        const ry = restPositions[p + 1] - restPositions[q + 1]
+        const rz = restPositions[p + 2] - restPositions[q + 2]
+        if (rx * rx + ry * ry + rz * rz < thickness2) continue
+
+        // Pinned particles don't move, the free one takes the whole correction
+        const distance = Math.sqrt(distance2)
+        const correction = (thickness - distance) / distance
+        const shareI = pinned[i] ? 0 : pinned[j] ? 1 : 0.5
+        const shareJ = pinned[j] ? 0 : 1 - shareI
+        positions[p] += dx * correction * shareI
+        positions[p + 1] += dy * correction * shareI
+        positions[p + 2] += dz * correction * shareI
+        positions[q] -= dx * correction * shareJ
+        positions[q + 1] -= dy * correction * shareJ
+        positions[q + 2] -= dz * correction * shareJ
+      }
+    }
+  }
+
+  const integrate = (dt, damping) => {
+    const dt2 = dt * dt
+    for (let i = 0; i < vertexCount; i++) {
+      if (pinned[i]) continue
+      for (let p = i * 3; p < i * 3 + 3; p++) {
+        const velocity = (positions[p] - oldPositions[p]) * damping
+        oldPositions[p] = positions[p]
+        positions[p] += velocity + accelerations[p] * dt2
+        accelerations[p] = 0
+      }
+    }
+  }
+
+  const satisfy = (c) => {
+    const a = constraintA[c]
+    const b = constraintB[c]
+    const pa = a * 3
+    const pb = b * 3
+    const dx = positions[pb] - positions[pa]
+    const dy = positions[pb + 1] - positions[pa + 1]
+    const dz = positions[pb + 2] - positions[pa + 2]
+    const distance = Math.sqrt(dx * dx + dy * dy + dz * dz)
+    const restLength = restLengths[c]
+    if (distance === 0) return
+
+    // Split the correction between both ends by inverse mass
+    const difference = ((restLength - distance) / distance) * stiffnesses[constraintClasses[c]]
+    const totalMass = masses[a] + masses[b]
+
+    if (!pinned[a]) {
+      const share = (masses[b] / totalMass) * difference
+      positions[pa] -= dx * share
+      positions[pa + 1] -= dy * share
+      positions[pa + 2] -= dz * share
+    }
+    if (!pinned[b]) {
+      const share = (masses[a] / totalMass) * difference
+      positions[pb] += dx * share
+      positions[pb + 1] += dy * share
+      positions[pb + 2] += dz * share
+    }
+  }
+
+  // A grabbed vertex is springed toward the grab target and its neighbours
+  // follow through the constraints. Grabbed pins are carried along rigidly.
+  const pullGrabbed = () => {
+    const p = grab.index * 3
+    if (pinned[grab.index]) {
+      positions[p] = oldPositions[p] = grab.x
+      positions[p + 1] = oldPositions[p + 1] = grab.y
+      positions[p + 2] = oldPositions[p + 2] = grab.z
+      return
+    }
+    positions[p] += (grab.x - positions[p]) * options.grabStiffness
+    positions[p + 1] += (grab.y - positions[p + 1]) * options.grabStiffness
+    positions[p + 2] += (grab.z - positions[p + 2]) * options.grabStiffness
+  }
+
+  // Which side of the plane through `vertex` with normal n a point lies on
+  const sideOf = (vertex, x, y, z, nx, ny, nz) => {
+    const p = vertex * 3
+    return (x - positions[p]) * nx + (y - positions[p + 1]) * ny + (z - positions[p + 2]) * nz
+  }
+
+  const triangleSide = (t, vertex, nx, ny, nz) => {
+    const a = indices[t] * 3
+    const b = indices[t + 1] * 3
+    const c = indices[t + 2] * 3
+    return sideOf(
+      vertex,
+      (positions[a] + positions[b] + positions[c]) / 3,
+      (positions[a + 1] + positions[b + 1] + positions[c + 1]) / 3,
+      (positions[a + 2] + positions[b + 2] + positions[c + 2]) / 3,
+      nx, ny, nz
+    )
+  }
+
+  // Dropped triangles stay in `indices` collapsed onto one vertex, so they
+  // draw nothing and keep the buffer length
+  const isDropped = (t) => indices[t] === indices[t + 1]
+
+  const dropTriangle = (t) => {
+    indices[t + 1] = indices[t + 2] = indices[t]
+    topologyVersion++
+  }
+
+  const hasVertex = (t, vertex) =>
+    !isDropped(t) && (indices[t] === vertex || indices[t + 1] === vertex || indices[t + 2] === vertex)
+
+  // A vertex no structural constraint holds any more drifts off on its own,
+  // so its triangles go rather than stretching after it
+  const dropIfLoose = (vertex) => {
+    if (structuralLinks[vertex] > 0) return
+    for (let t = 0; t < indices.length; t += 3) {
+      if (hasVertex(t, vertex)) dropTriangle(t)
+    }
+  }
+
+  const deactivate = (c) => {
+    active[c] = 0
+    if (constraintClasses[c] !== STRUCTURAL) return
+    structuralLinks[constraintA[c]]--
+    structuralLinks[constraintB[c]]--
+    dropIfLoose(constraintA[c])
+    dropIfLoose(constraintB[c])
+  }
+
+  // Triangles with an edge past the tear limit: either a torn edge no
+  // constraint holds any more, or one about to tear
+  const dropOverstretched = () => {
+    const limit2 = options.tearStretch * options.tearStretch
+    for (let t = 0; t < indices.length; t += 3) {
+      if (isDropped(t)) continue
+      for (let k = 0; k < 3; k++) {
+        const a = indices[t + k] * 3
+        const b = indices[t + (k + 1) % 3] * 3
+        const dx = positions[b] - positions[a]
+        const dy = positions[b + 1] - positions[a + 1]
+        const dz = positions[b + 2] - positions[a + 2]
+        const rx = restPositions[b] - restPositions[a]
+        const ry = restPositions[b + 1] - restPositions[a + 1]
+        const rz = restPositions[b + 2] - restPositions[a + 2]
+        if (dx * dx + dy * dy + dz * dz > (rx * rx + ry * ry + rz * rz) * limit2) {
+          dropTriangle(t)
+          break
+        }
+      }
+    }
+  }
+
+  // Splits `vertex` in two along the plane through it with normal n: the
+  // triangles and constraints on the positive side move to a new, unpinned
+  // copy. Returns false if all triangles are on one side or there's no room.
+  const splitVertex = (vertex, nx, ny, nz) => {
+    if (vertexCount === vertexCapacity) return false
+
+    let positive = 0
+    let negative = 0
+    for (let t = 0; t < indices.length; t += 3) {
+      if (!hasVertex(t, vertex)) continue
+      if (triangleSide(t, vertex, nx, ny, nz) > 0) positive++
+      else negative++
+    }
+    if (positive === 0 || negative === 0) return false
+
+    const copy = vertexCount++
+    for (let k = 0; k < 3; k++) {
+      positions[copy * 3 + k] = positions[vertex * 3 + k]
+      oldPositions[copy * 3 + k] = oldPositions[vertex * 3 + k]
+      restPositions[copy * 3 + k] = restPositions[vertex * 3 + k]
+      previousPositions[copy * 3 + k] = previousPositions[vertex * 3 + k]
+      renderPositions[copy * 3 + k] = renderPositions[vertex * 3 + k]
+      accelerations[copy * 3 + k] = 0
+    }
+    masses[copy] = masses[vertex]
+    pinned[copy] = 0
+
+    // Classify everything before rewiring, positions don't change in between
+    for (let t = 0; t < indices.length; t += 3) {
+      if (!hasVertex(t, vertex) || triangleSide(t, vertex, nx, ny, nz) <= 0) continue
+      for (let k = t; k < t + 3; k++) {
+        if (indices[k] === vertex) indices[k] = copy
+      }
+    }
+
+    for (let c = 0; c < constraintCount; c++) {
+      const endpoints = constraintA[c] === vertex ? constraintA : constraintB[c] === vertex ? constraintB : null
+      if (!endpoints) continue
+      const other = (endpoints === constraintA ? constraintB[c] : constraintA[c]) * 3
+      if (sideOf(vertex, positions[other], positions[other + 1], positions[other + 2], nx, ny, nz) > 0) {
+        endpoints[c] = copy
+        if (active[c] && constraintClasses[c] === STRUCTURAL) {
+          structuralLinks[vertex]--
+          structuralLinks[copy]++
+        }
+      }
+    }
+
+    topologyVersion++
+    // Either half may have kept triangles but no structural constraint
+    dropIfLoose(vertex)
+    dropIfLoose(copy)
+    return true
+  }
+
+  // Overstretched structural constraints rip the mesh by splitting one of
+  // their endpoints across the stretch direction. Shear and bend constraints
+  // aren't mesh edges, so they just let go.
+  const tear = () => {
+    let tears = 0
+    for (let c = 0; c < constraintCount && tears < options.maxTearsPerStep; c++) {
+      if (!active[c]) continue
+      const a = constraintA[c]
+      const b = constraintB[c]
+      const dx = positions[b * 3] - positions[a * 3]
+      const dy = positions[b * 3 + 1] - positions[a * 3 + 1]
+      const dz = positions[b * 3 + 2] - positions[a * 3 + 2]
+      if (Math.sqrt(dx * dx + dy * dy + dz * dz) <= restLengths[c] * options.tearStretch) continue
+
+      if (constraintClasses[c] !== STRUCTURAL) {
+        deactivate(c)
+      } else if (splitVertex(a, dx, dy, dz) || splitVertex(b, -dx, -dy, -dz)) {
+        tears++
+      } else {
+        deactivate(c)
+      }
+    }
+    dropOverstretched()
+  }
+
+  const simulate = (dt, damping) => {
+    time += dt
+
+    const windModel = WIND_MODELS[options.windModel] || WIND_MODELS.basic
+    const windStrength = options.windStrength * options.windIntensity
+    const steadyX = options.windDirection.x * windStrength
+    const steadyZ = options.windDirection.z * windStrength
+
+    for (let i = 0; i < vertexCount; i++) {
+      if (pinned[i]) continue
+
+      const p = i * 3
+      const inverseMass = 1 / masses[i]
+      windModel(wind, positions[p], positions[p + 1], positions[p + 2], time, windStrength * options.windTurbulence)
+      // Wind is a force, so heavier cloth gives to it less; gravity is an
+      // acceleration and pulls every mass alike
+      accelerations[p] += (steadyX + wind[0]) * inverseMass
+      accelerations[p + 1] += options.gravity + wind[1] * inverseMass
+      accelerations[p + 2] += (steadyZ + wind[2]) * inverseMass
+    }
+
+    integrate(dt, damping)
+
+    stiffnesses[STRUCTURAL] = options.stiffness
+    stiffnesses[SHEAR] = options.stiffness * options.shearStiffness
+    stiffnesses[BEND] = options.stiffness * options.bendStiffness
+    for (let i = 0; i < options.iterations; i++) {
+      for (let c = 0; c < constraintCount; c++) {
+        if (active[c]) satisfy(c)
+      }
+    }
+
+    if (grab.index >= 0) pullGrabbed()
+    // Grid size rather than vertexCount, so tearing doesn't switch it off midway
+    if (options.selfCollision && columns * (segmentsY + 1) <= options.selfCollisionBudget) collideSelf()
+    // Last, so steps never end inside a collider
+    collideColliders()
+  }
+
+  // Advances the cloth by exactly `dt`, split into `options.substeps`
+  const step = (dt = options.timestep) => {
+    previousPositions.set(positions)
+
+    const substeps = Math.max(1, Math.round(options.substeps))
+    // Damping is a per-step factor, so spread it across the substeps
+    const damping = Math.pow(options.damping, 1 / substeps)
+    for (let i = 0; i < substeps; i++) {
+      simulate(dt / substeps, damping)
+    }
+
+    if (options.tearing) tear()
+  }
+
+  // Consumes a variable frame delta in fixed steps and interpolates the
+  // leftover fraction into the render buffer. Returns the number of steps run.
+  const advance = (frameDelta) => {
+    const { timestep, maxSteps } = options
+    accumulator += Math.min(frameDelta, timestep * maxSteps)
+
+    let steps = 0
+    while (accumulator >= timestep) {
+      step(timestep)
+      accumulator -= timestep
+      steps++
+    }
+
+    const alpha = accumulator / timestep
+    for (let i = 0; i < renderPositions.length; i++) {
+      renderPositions[i] = previousPositions[i] + (positions[i] - previousPositions[i]) * alpha
+    }
+    return steps
+  }
+
+  return {
+    get vertexCount() {
+      return vertexCount
+    },
+    vertexCapacity,
+    // Triangle indices, rewritten in place when tearing splits vertices
+    indices,
+    // Bumped whenever `indices` changes
+    getTopologyVersion: () => topologyVersion,
+    step,
+    advance,
+    // Flat [x, y, z, ...] solver state, updated in place by every step
+    getPositions: () => positions,
+    // Positions interpolated between the last two steps by `advance`
+    getRenderPositions: () => renderPositions,
+    // Current pinned vertex indices; replaced, not mutated, when pins change
+    getPinnedIndices: () => pinnedList,
+    // Bumped whenever the set of pinned vertices changes
+    getPinVersion: () => pinVersion,
+    pin: (index) => {
+      setPinned(index, true)
+      refreshPinnedList()
+    },
+    unpin: (index) => {
+      setPinned(index, false)
+      refreshPinnedList()
+    },
+    togglePin: (index) => {
+      setPinned(index, !pinned[index])
+      refreshPinnedList()
+    },
+    // Moves pinned vertices along with whatever they are attached to, e.g.
+    // bones; `targets` holds flat cloth-space positions matching `indices`
+    setPinPositions: (indices, targets) => {
+      for (let k = 0; k < indices.length; k++) {
+        const index = indices[k]
+        if (!pinned[index] || index >= vertexCount) continue
+        for (let axis = 0; axis < 3; axis++) {
+          positions[index * 3 + axis] = targets[k * 3 + axis]
+          oldPositions[index * 3 + axis] = targets[k * 3 + axis]
+        }
+      }
+    },
+    // Pins exactly `indices`, releasing every other vertex
+    setPins: (indices) => {
+      for (let i = 0; i < vertexCount; i++) {
+        if (pinned[i]) setPinned(i, false)
+      }
+      for (const index of indices) setPinned(index, true)
+      refreshPinnedList()
+    },
+    // Live options that don't change the cloth topology
+    setOptions: (next) => {
+      // Vertex masses keep their random spread when the base mass changes
+      if (next.mass !== undefined && next.mass !== options.mass) {
+        const scale = next.mass / options.mass
+        for (let i = 0; i < vertexCount; i++) masses[i] *= scale
+      }
+      Object.assign(options, next)
+    },
+    // Starts dragging `index` toward `target`, in cloth space
+    grab: (index, target) => {
+      grab.index = index
+      grab.x = target.x
+      grab.y = target.y
+      grab.z = target.z
+    },
+    moveGrab: (target) => {
+      grab.x = target.x
+      grab.y = target.y
+      grab.z = target.z
+    },
+    // Lets go, throwing the vertex with `velocity` in units per second
+    release: (velocity) => {
+      if (grab.index < 0) return
+      const p = grab.index * 3
+      if (velocity && !pinned[grab.index]) {
+        const dt = options.timestep / Math.max(1, Math.round(options.substeps))
+        oldPositions[p] = positions[p] - velocity.x * dt
+        oldPositions[p + 1] = positions[p + 1] - velocity.y * dt
+        oldPositions[p + 2] = positions[p + 2] - velocity.z * dt
+      }
+      grab.index = -1
+    },
+    // Replaces the colliders, given as plain objects in cloth space:
+    //   { shape: 'plane', x, y, z, nx, ny, nz }
+    //   { shape: 'sphere', x, y, z, radius }
+    //   { shape: 'box', x, y, z, qx, qy, qz, qw, hx, hy, hz }
+    //   { shape: 'capsule', ax, ay, az, bx, by, bz, radius }
+    //   { shape: 'mesh', x, y, z, qx, qy, qz, qw, sx, sy, sz, sdf } (see meshSdf.js)
+    // each with optional `friction` and `restitution` (0 to 1) and `margin`
+    setColliders: (next) => {
+      colliders = next
+    },
+  }
+}
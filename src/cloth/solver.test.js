@@ -0,0 +1,122 @@
+import { execFileSync } from 'node:child_process'
+import { describe, expect, it } from 'vitest'
+import { computeNormals, createCloth, createClothGrid } from './solver.js'
+
+const lowestY = (cloth) => {
+  const positions = cloth.getPositions()
+  let lowest = Infinity
+  for (let i = 0; i < cloth.vertexCount; i++) lowest = Math.min(lowest, positions[i * 3 + 1])
+  return lowest
+}
+
+describe('solver', () => {
+  it('loads in plain Node, without a bundler', () => {
+    const url = new URL('./solver.js', import.meta.url).href
+    const output = execFileSync(process.execPath, [
+      '--input-type=module',
+      '-e',
+      `const { createCloth } = await import(${JSON.stringify(url)}); createCloth().step(); console.log('ok')`,
+    ])
+    expect(output.toString().trim()).toBe('ok')
+  })
+
+  describe('createClothGrid', () => {
+    it('lays out a flat grid with two triangles per cell', () => {
+      const grid = createClothGrid({ width: 2, height: 1, segmentsX: 4, segmentsY: 2, pin: () => false })
+      expect(grid.positions.length).toBe(5 * 3 * 3)
+      expect(grid.indices.length).toBe(4 * 2 * 6)
+      expect(Array.from(grid.positions.slice(0, 3))).toEqual([-1, 0, 0])
+      expect(Array.from(grid.positions.slice(-3))).toEqual([1, 0, 1])
+    })
+
+    it('pins by predicate or by index list', () => {
+      expect(createClothGrid({ segmentsX: 4, segmentsY: 4, pin: (x, y) => y === 0 && x % 2 === 0 }).pinned).toEqual([0, 2, 4])
+      expect(createClothGrid({ pin: [3, 7] }).pinned).toEqual([3, 7])
+    })
+  })
+
+  describe('createCloth', () => {
+    it('keeps pinned vertices in place and lets the rest fall', () => {
+      const cloth = createCloth({ segmentsX: 10, segmentsY: 10, windStrength: 0, pin: (x, y) => y === 0 })
+      for (let i = 0; i < 60; i++) cloth.step()
+      const positions = cloth.getPositions()
+      for (const index of cloth.getPinnedIndices()) expect(positions[index * 3 + 1]).toBe(0)
+      expect(lowestY(cloth)).toBeLessThan(-0.5)
+    })
+
+    it('falls under gravity the same whatever the mass', () => {
+      const fall = (mass) => {
+        const cloth = createCloth({ mass, windStrength: 0, pin: () => false })
+        for (let i = 0; i < 30; i++) cloth.step()
+        return cloth.getPositions()[1]
+      }
+      expect(fall(0.4)).toBeCloseTo(fall(1.6), 6)
+      // About g t² / 2 after half a second, less the damping
+      expect(fall(1)).toBeLessThan(-0.8)
+    })
+
+    it('keeps vertices on the right side of a plane collider', () => {
+      const cloth = createCloth({ windStrength: 0, pin: () => false })
+      cloth.setColliders([{ shape: 'plane', x: 0, y: -1, z: 0, nx: 0, ny: 1, nz: 0 }])
+      for (let i = 0; i < 120; i++) cloth.step()
+      expect(lowestY(cloth)).toBeGreaterThanOrEqual(-1)
+    })
+
+    it('advances in fixed steps and carries the remainder', () => {
+      const cloth = createCloth({ timestep: 1 / 60, maxSteps: 4 })
+      expect(cloth.advance(1 / 30 + 0.001)).toBe(2)
+      expect(cloth.advance(1 / 120)).toBe(0)
+      expect(cloth.advance(1 / 120)).toBe(1)
+      // Long frames are clamped to maxSteps
+      expect(cloth.advance(1)).toBe(4)
+    })
+
+    it('tears without leaving stretched triangles behind', () => {
+      const cloth = createCloth({
+        segmentsX: 20,
+        segmentsY: 20,
+        windStrength: 0,
+        tearing: true,
+        pin: (x, y) => y === 0,
+      })
+      const vertex = 20 * 21 + 10
+      const positions = cloth.getPositions()
+      const start = { x: positions[vertex * 3], y: positions[vertex * 3 + 1], z: positions[vertex * 3 + 2] }
+      cloth.grab(vertex, start)
+      for (let i = 0; i < 120; i++) {
+        cloth.moveGrab({ x: start.x, y: start.y - i * 0.05, z: start.z + i * 0.05 })
+        cloth.step()
+      }
+
+      expect(cloth.vertexCount).toBeGreaterThan(21 * 21)
+      const restEdge = Math.SQRT2 * (2 / 20)
+      const { indices } = cloth
+      for (let t = 0; t < indices.length; t += 3) {
+        for (let k = 0; k < 3; k++) {
+          const a = indices[t + k] * 3
+          const b = indices[t + (k + 1) % 3] * 3
+          const length = Math.hypot(positions[b] - positions[a], positions[b + 1] - positions[a + 1], positions[b + 2] - positions[a + 2])
+          expect(length).toBeLessThanOrEqual(restEdge * 2.5)
+        }
+      }
+    })
+  })
+
+  describe('computeNormals', () => {
+    it('points a flat grid\'s normals along y', () => {
+      const grid = createClothGrid({ segmentsX: 3, segmentsY: 3 })
+      const normals = computeNormals(grid.positions, grid.indices, new Float32Array(grid.positions.length))
+      for (let i = 0; i < normals.length; i += 3) {
+        expect(Math.abs(normals[i + 1])).toBeCloseTo(1, 6)
+        expect(normals[i]).toBeCloseTo(0, 6)
+        expect(normals[i + 2]).toBeCloseTo(0, 6)
+      }
+    })
+
+    it('matches the cross product winding three.js uses', () => {
+      const positions = new Float32Array([0, 0, 0, 1, 0, 0, 0, 1, 0])
+      const normals = computeNormals(positions, new Uint32Array([0, 1, 2]), new Float32Array(9))
+      expect(Array.from(normals.slice(0, 3))).toEqual([0, 0, 1])
+    })
+  })
+})
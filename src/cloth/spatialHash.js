@@ -0,0 +1,79 @@
+// Uniform spatial hash over particle positions, rebuilt from scratch each time
+// it is used. Particles are counting-sorted into hashed cells, so building and
+// querying only touch preallocated typed arrays.
+export function createSpatialHash(capacity) {
+  const tableSize = 2 * capacity
+  const cellStart = new Int32Array(tableSize + 1)
+  const cellEntries = new Int32Array(capacity)
+  // Per hash bucket, the last query that visited it
+  const visited = new Int32Array(tableSize)
+  let queryId = 0
+  let spacing = 1
+
+  const hashCoords = (xi, yi, zi) => {
+    const hash = Math.imul(xi, 92837111) ^ Math.imul(yi, 689287499) ^ Math.imul(zi, 283923481)
+    return Math.abs(hash) % tableSize
+  }
+
+  const hashPosition = (positions, i) => hashCoords(
+    Math.floor(positions[i * 3] / spacing),
+    Math.floor(positions[i * 3 + 1] / spacing),
+    Math.floor(positions[i * 3 + 2] / spacing)
+  )
+
+  return {
+    // Sorts the first `count` particles into cells of size `cellSize`
+    build: (positions, count, cellSize) => {
+      spacing = cellSize
+      cellStart.fill(0)
+
+      for (let i = 0; i < count; i++) {
+        cellStart[hashPosition(positions, i)]++
+      }
+
+      let start = 0
+      for (let i = 0; i < tableSize; i++) {
+        start += cellStart[i]
+        cellStart[i] = start
+      }
+      cellStart[tableSize] = start
+
+      for (let i = 0; i < count; i++) {
+        const hash = hashPosition(positions, i)
+        cellStart[hash]--
+        cellEntries[cellStart[hash]] = i
+      }
+    },
+
+    // Writes the particles in cells overlapping the cube of half-size `radius`
+    // around (x, y, z) into `results` and returns how many were written, each
+    // once. Hash collisions can add far-away particles, so callers still test
+    // distances.
+    query: (x, y, z, radius, results) => {
+      // Cells sharing a bucket would list its particles again
+      queryId++
+      const x0 = Math.floor((x - radius) / spacing)
+      const y0 = Math.floor((y - radius) / spacing)
+      const z0 = Math.floor((z - radius) / spacing)
+      const x1 = Math.floor((x + radius) / spacing)
+      const y1 = Math.floor((y + radius) / spacing)
+      const z1 = Math.floor((z + radius) / spacing)
+
+      let count = 0
+      for (let xi = x0; xi <= x1; xi++) {
+        for (let yi = y0; yi <= y1; yi++) {
+          for (let zi = z0; zi <= z1; zi++) {
+            const hash = hashCoords(xi, yi, zi)
+            if (visited[hash] === queryId) continue
+            visited[hash] = queryId
+            for (let k = cellStart[hash]; k < cellStart[hash + 1]; k++) {
+              if (count === results.length) return count
+              results[count++] = cellEntries[k]
+            }
+          }
+        }
+      }
+      return count
+    },
+  }
+}
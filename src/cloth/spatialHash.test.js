@@ -0,0 +1,30 @@
+import { describe, expect, it } from 'vitest'
+import { createSpatialHash } from './spatialHash.js'
+
+describe('spatialHash', () => {
+  it('lists each nearby particle once, even when cells share a bucket', () => {
+    // Two particles and a four-bucket table: the 27 cells of a query collide
+    const hash = createSpatialHash(2)
+    const positions = new Float32Array([0, 0, 0, 0.5, 0, 0])
+    hash.build(positions, 2, 1)
+
+    const results = new Int32Array(16)
+    const count = hash.query(0, 0, 0, 1, results)
+    expect(Array.from(results.slice(0, count)).sort()).toEqual([0, 1])
+  })
+
+  it('finds every particle within the radius', () => {
+    const count = 200
+    const positions = new Float32Array(count * 3).map(() => Math.random() * 4)
+    const hash = createSpatialHash(count)
+    hash.build(positions, count, 0.3)
+
+    const results = new Int32Array(count)
+    const found = new Set(Array.from(results.slice(0, hash.query(2, 2, 2, 0.3, results))))
+    for (let i = 0; i < count; i++) {
+      const distance = Math.hypot(positions[i * 3] - 2, positions[i * 3 + 1] - 2, positions[i * 3 + 2] - 2)
+      if (distance <= 0.3) expect(found.has(i)).toBe(true)
+    }
+    expect(found.size).toBe(hash.query(2, 2, 2, 0.3, results))
+  })
+})
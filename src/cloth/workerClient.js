@@ -0,0 +1,158 @@
+import { createClothGrid, computeNormals, getVertexCapacity } from './solver.js'
+
+// Same surface as createCloth, backed by cloth.worker.js. The main thread only
+// ping-pongs two position/normal buffer pairs with the worker, so rendering
+// shows the most recent finished frame while the next one is being solved.
+// The worker starts on the first `advance` and `dispose` stops it, which keeps
+// StrictMode's mount/unmount/mount cycle from leaking or killing workers.
+export function createClothWorker(options) {
+  const grid = createClothGrid(options)
+  const workerOptions = { ...options, worker: undefined }
+  const size = getVertexCapacity(options) * 3
+
+  const createBuffers = () => ({
+    positions: new Float32Array(size),
+    normals: new Float32Array(size),
+  })
+
+  let worker = null
+  let latest = createBuffers()
+  latest.positions.set(grid.positions)
+  computeNormals(latest.positions, grid.indices, latest.normals)
+  let spare = createBuffers()
+  const restIndices = grid.indices.slice()
+  let topologyVersion = 0
+  let inFlight = false
+  let pendingDelta = 0
+  let colliders = []
+  // Latest pin positions, sent with the next frame
+  let pinTargets = null
+  // Mesh collider fields are too big to clone every frame, so each is sent to
+  // the worker once and referred to by id
+  let sdfIds = new WeakMap()
+  let nextSdfId = 0
+  const liveOptions = {}
+  // Grab messages sent before the worker starts, delivered once it does
+  let queued = []
+  // Pins only ever change from this side, so the client keeps the pin set
+  // itself and replays it into restarted workers
+  let pinnedList = grid.pinned.slice()
+  let pinVersion = 0
+
+  const updatePins = (next) => {
+    pinnedList = next
+    pinVersion++
+  }
+
+  const frameColliders = () => colliders.map((collider) => {
+    if (collider.shape !== 'mesh') return collider
+    let id = sdfIds.get(collider.sdf)
+    if (id === undefined) {
+      id = nextSdfId++
+      sdfIds.set(collider.sdf, id)
+      worker.postMessage({ type: 'sdf', id, sdf: collider.sdf })
+    }
+    return { ...collider, sdf: id }
+  })
+
+  const start = () => {
+    // A new worker has none of the fields yet
+    sdfIds = new WeakMap()
+    worker = new Worker(new URL('./cloth.worker.js', import.meta.url), { type: 'module' })
+    worker.onmessage = ({ data }) => {
+      if (data.type !== 'frame') return
+      spare = latest
+      latest = { positions: data.positions, normals: data.normals }
+      inFlight = false
+      if (data.indices) {
+        grid.indices.set(data.indices)
+        topologyVersion++
+      }
+    }
+    worker.onerror = (event) => {
+      console.error('Cloth worker error:', event.message)
+    }
+    // Pin predicates can't be cloned into the worker, pinned indices can
+    worker.postMessage({ type: 'init', options: { ...workerOptions, ...liveOptions, pin: pinnedList } })
+    queued.forEach((message) => worker.postMessage(message))
+    queued = []
+    // A restarted worker begins untorn
+    if (topologyVersion > 0) {
+      grid.indices.set(restIndices)
+      topologyVersion++
+    }
+  }
+
+  const post = (message) => {
+    if (worker) worker.postMessage(message)
+    else queued.push(message)
+  }
+
+  return {
+    vertexCapacity: size / 3,
+    indices: grid.indices,
+    getTopologyVersion: () => topologyVersion,
+    advance: (delta) => {
+      if (!worker) start()
+
+      pendingDelta += delta
+      if (inFlight) return
+
+      inFlight = true
+      worker.postMessage(
+        { type: 'frame', delta: pendingDelta, colliders: frameColliders(), pinTargets, ...spare },
+        [spare.positions.buffer, spare.normals.buffer]
+      )
+      spare = null
+      pendingDelta = 0
+      pinTargets = null
+    },
+    getPositions: () => latest.positions,
+    getRenderPositions: () => latest.positions,
+    getRenderNormals: () => latest.normals,
+    getPinnedIndices: () => pinnedList,
+    getPinVersion: () => pinVersion,
+    togglePin: (index) => {
+      updatePins(pinnedList.includes(index)
+        ? pinnedList.filter((pinned) => pinned !== index)
+        : [...pinnedList, index])
+      worker?.postMessage({ type: 'togglePin', index })
+    },
+    setPinPositions: (indices, targets) => {
+      pinTargets = { indices: Array.from(indices), targets: Float32Array.from(targets) }
+    },
+    setPins: (indices) => {
+      updatePins(indices.slice())
+      worker?.postMessage({ type: 'setPins', indices })
+    },
+    setOptions: (next) => {
+      Object.assign(liveOptions, next)
+      worker?.postMessage({ type: 'options', options: next })
+    },
+    grab: (index, target) => {
+      post({ type: 'grab', index, target: { x: target.x, y: target.y, z: target.z } })
+    },
+    moveGrab: (target) => {
+      post({ type: 'moveGrab', target: { x: target.x, y: target.y, z: target.z } })
+    },
+    release: (velocity) => {
+      post({
+        type: 'release',
+        velocity: velocity && { x: velocity.x, y: velocity.y, z: velocity.z },
+      })
+    },
+    // Colliders are plain data, cloned into the worker with every frame
+    setColliders: (next) => {
+      colliders = next
+    },
+    dispose: () => {
+      worker?.terminate()
+      worker = null
+      // A frame still in flight took its buffers with it
+      if (inFlight) spare = createBuffers()
+      inFlight = false
+      pendingDelta = 0
+      queued = []
+    },
+  }
+}
@@ -6,7 +6,14 @@ class ErrorBoundary extends React.Component {
     this.state = { hasError: false, error: null, errorInfo: null }
   }
 
-  static getDerivedStateFromError(error) {
+  // Lets the parent restart whatever the children were running (e.g. the XR
+  // session) before they render again
+  handleReset = () => {
+    this.props.onReset?.()
+    this.setState({ hasError: false, error: null, errorInfo: null })
+  }
+
+  static getDerivedStateFromError() {
     return { hasError: true }
   }
 
@@ -20,6 +27,8 @@ class ErrorBoundary extends React.Component {
 
   render() {
     if (this.state.hasError) {
+      // e.g. null inside the canvas, where the page overlay can't render
+      if (this.props.fallback !== undefined) return this.props.fallback
       return (
         <div style={{
           padding: '20px',
@@ -39,7 +48,7 @@ class ErrorBoundary extends React.Component {
             </pre>
           </details>
           <button
-            onClick={() => this.setState({ hasError: false, error: null, errorInfo: null })}
+            onClick={this.handleReset}
             style={{
               marginTop: '10px',
               padding: '8px 16px',
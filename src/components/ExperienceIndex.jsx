@@ -0,0 +1,50 @@
+import React from 'react'
+import { Link } from 'react-router-dom'
+
+// Landing page listing the experiences. No camera runs here; it starts when
+// one is opened.
+export default function ExperienceIndex({ experiences }) {
+  return (
+    <div
+      style={{
+        minHeight: '100%',
+        padding: '30px 20px',
+        fontFamily: 'monospace',
+        color: 'white',
+        background: '#1a1a1a'
+      }}
+    >
+      <h1 style={{ fontSize: '22px', marginTop: 0 }}>AR Experiences</h1>
+      <div
+        style={{
+          display: 'grid',
+          gridTemplateColumns: 'repeat(auto-fill, minmax(220px, 1fr))',
+          gap: '15px'
+        }}
+      >
+        {experiences.map(({ path, title, description, thumbnail }) => (
+          <Link
+            key={path}
+            to={path}
+            style={{
+              display: 'block',
+              background: 'rgba(255, 255, 255, 0.08)',
+              borderRadius: '8px',
+              overflow: 'hidden',
+              color: 'inherit',
+              textDecoration: 'none'
+            }}
+          >
+            {thumbnail && (
+              <img src={thumbnail} alt="" style={{ display: 'block', width: '100%', aspectRatio: '4 / 3', objectFit: 'cover' }} />
+            )}
+            <div style={{ padding: '12px' }}>
+              <div style={{ fontSize: '16px', marginBottom: '5px' }}>{title}</div>
+              <div style={{ fontSize: '12px', opacity: 0.7, lineHeight: '1.4' }}>{description}</div>
+            </div>
+          </Link>
+        ))}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,20 @@
+import XRScene from '../xr/XRScene'
+
+const noOverrides = () => ({})
+
+// Puts a registered experience together: its scene goes into the shared XR
+// canvas, with whatever XR config it asks for at runtime, and its controls
+// sit over the canvas
+export default function ExperienceRoute({ experience }) {
+  const { Scene, Controls, useXR = noOverrides } = experience
+  const xr = useXR()
+
+  return (
+    <>
+      <XRScene tracking={xr.tracking} imageTargets={xr.imageTargets}>
+        <Scene />
+      </XRScene>
+      <Controls />
+    </>
+  )
+}
@@ -0,0 +1,64 @@
+import { Canvas } from '@react-three/fiber'
+import { Suspense, useState } from 'react'
+import { Outlet, matchPath, useLocation } from 'react-router-dom'
+
+import EightWallBridge from '../experience/EighthWallBridge'
+import XRErrorOverlay from '../experience/components/XRErrorOverlay'
+import ErrorBoundary from './ErrorBoundary'
+import { clearXRError, getXRError, reportXRError } from '../xr/errors'
+import { hasSession, restart } from '../xr/sessionManager'
+import { useXRSceneSlot } from '../xr/sceneSlot'
+
+// The shared canvas, showing whatever <XRScene> put in the slot. Only this
+// re-renders when the scene does, not the experience routes next to it.
+function XRCanvas({ experience }) {
+  const slot = useXRSceneSlot()
+  // What the experience asks for at runtime wins over its registered config,
+  // which covers the time its code is still loading
+  const xr = { ...experience?.xr, ...slot.xr }
+
+  return (
+    <Canvas shadows>
+      <EightWallBridge imageTargets={xr.imageTargets} tracking={xr.tracking}>
+        <Suspense fallback={null}>
+          {slot.children}
+        </Suspense>
+      </EightWallBridge>
+    </Canvas>
+  )
+}
+
+// Layout for the experience routes. The canvas, and with it the XR session,
+// lives here rather than in each experience, so moving between experiences
+// keeps the camera running (restarting in place only when the tracking mode
+// differs). The <Outlet> is the current <ExperienceRoute>, which puts the
+// experience's controls on the page and its scene in the canvas.
+export default function XRShell({ experiences }) {
+  const { pathname } = useLocation()
+  const experience = experiences.find(({ path }) => matchPath(path, pathname))
+  const [sessionKey, setSessionKey] = useState(0)
+
+  // Runs the session again in place. A lost context needs a new canvas, and
+  // a session that never started (e.g. the scripts didn't load) needs the
+  // bridge to start over, so those remount the canvas instead.
+  const handleRetryXR = () => {
+    const kind = getXRError()?.kind
+    clearXRError()
+    if (kind === 'webgl-lost' || !hasSession()) {
+      setSessionKey(prev => prev + 1)
+      return
+    }
+    restart().catch((err) => reportXRError(err))
+  }
+
+  return (
+    <ErrorBoundary onReset={handleRetryXR}>
+      <XRCanvas key={sessionKey} experience={experience} />
+
+      <Suspense fallback={null}>
+        <Outlet />
+      </Suspense>
+      <XRErrorOverlay onRetry={handleRetryXR} />
+    </ErrorBoundary>
+  )
+}
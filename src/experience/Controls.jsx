@@ -0,0 +1,178 @@
+import ClothControls from './components/ClothControls'
+import PlacementControls from './components/PlacementControls'
+
+import { getClothTypeDefaults } from './clothTypes'
+import { getFabricPreset } from '../cloth/fabrics'
+import { resetCloth } from './clothState'
+import useClothSettings from './hooks/useClothSettings'
+
+// The cloth experience's controls, over the canvas. They change the settings
+// its <Scene> reads.
+function ClothExperienceControls() {
+  // Mirrored to the query string and localStorage
+  const [clothSettings, setClothSettings, shareUrl] = useClothSettings()
+
+  const handleWindChange = (value) => {
+    setClothSettings(prev => ({ ...prev, windIntensity: value }))
+  }
+
+  const handleSphereToggle = (value) => {
+    setClothSettings(prev => ({ ...prev, showSphere: value }))
+  }
+
+  const handleColorChange = (value) => {
+    setClothSettings(prev => ({ ...prev, color: value }))
+  }
+
+  const handleClothTypeChange = (value) => {
+    setClothSettings(prev => ({ ...prev, ...getClothTypeDefaults(value), clothType: value, fabric: "" }))
+    resetCloth() // Reset when changing cloth type
+  }
+
+  const handleTearingToggle = (value) => {
+    setClothSettings(prev => ({ ...prev, enableTearing: value }))
+  }
+
+  const handleWorkerToggle = (value) => {
+    setClothSettings(prev => ({ ...prev, useWorker: value }))
+    resetCloth() // The solver moves between threads on remount
+  }
+
+  const handlePinLayoutChange = (value) => {
+    setClothSettings(prev => ({ ...prev, pinLayout: value }))
+  }
+
+  const handleEditPinsToggle = (value) => {
+    setClothSettings(prev => ({ ...prev, editPins: value }))
+  }
+
+  // Presets carry their own stiffness and damping; the cloth blends over to them
+  const handleFabricChange = (value) => {
+    const preset = getFabricPreset(value)
+    setClothSettings(prev => {
+      const defaults = getClothTypeDefaults(prev.clothType)
+      return {
+        ...prev,
+        fabric: value,
+        stiffness: preset ? preset.stiffness.structural : defaults.stiffness,
+        damping: preset ? preset.damping : defaults.damping
+      }
+    })
+  }
+
+  const handleImageTargetChange = (value) => {
+    setClothSettings(prev => ({ ...prev, imageTarget: value }))
+  }
+
+  const handleTrackingChange = (value) => {
+    setClothSettings(prev => ({ ...prev, tracking: value }))
+  }
+
+  const handleStiffnessChange = (value) => {
+    setClothSettings(prev => ({ ...prev, stiffness: value }))
+  }
+
+  const handleDampingChange = (value) => {
+    setClothSettings(prev => ({ ...prev, damping: value }))
+  }
+
+  const handleGravityChange = (value) => {
+    setClothSettings(prev => ({ ...prev, gravity: value }))
+  }
+
+  const handleWindDirectionChange = (value) => {
+    setClothSettings(prev => ({ ...prev, windDirection: value }))
+  }
+
+  const handleWindTurbulenceChange = (value) => {
+    setClothSettings(prev => ({ ...prev, windTurbulence: value }))
+  }
+
+  const handleClothSizeChange = (value) => {
+    setClothSettings(prev => ({ ...prev, clothSize: value }))
+  }
+
+  const handleResolutionChange = (value) => {
+    setClothSettings(prev => ({ ...prev, resolution: value }))
+  }
+
+  const handlePinSpacingChange = (value) => {
+    setClothSettings(prev => ({ ...prev, pinSpacing: value }))
+  }
+
+  const handleCopyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(shareUrl)
+      return true
+    } catch {
+      // Clipboard access needs a secure context and permission
+      window.prompt('Copy this link:', shareUrl)
+      return false
+    }
+  }
+
+  const handleReset = () => {
+    resetCloth()
+    setClothSettings(prev => ({
+      ...prev,
+      ...getClothTypeDefaults(prev.clothType),
+      fabric: "",
+      windIntensity: 1.0,
+      showSphere: true,
+      color: "#4080ff"
+    }))
+  }
+
+  return (
+    <>
+      {/* Nothing to place when the cloth is worn */}
+      {clothSettings.tracking === "world" && <PlacementControls />}
+
+      {/* Control Panel - Outside of Canvas */}
+      <ClothControls
+        windIntensity={clothSettings.windIntensity}
+        showSphere={clothSettings.showSphere}
+        color={clothSettings.color}
+        clothType={clothSettings.clothType}
+        enableTearing={clothSettings.enableTearing}
+        useWorker={clothSettings.useWorker}
+        pinLayout={clothSettings.pinLayout}
+        editPins={clothSettings.editPins}
+        fabric={clothSettings.fabric}
+        imageTarget={clothSettings.imageTarget}
+        tracking={clothSettings.tracking}
+        stiffness={clothSettings.stiffness}
+        damping={clothSettings.damping}
+        gravity={clothSettings.gravity}
+        windDirection={clothSettings.windDirection}
+        windTurbulence={clothSettings.windTurbulence}
+        clothSize={clothSettings.clothSize}
+        resolution={clothSettings.resolution}
+        pinSpacing={clothSettings.pinSpacing}
+        onWindChange={handleWindChange}
+        onShowSphere={handleSphereToggle}
+        onColorChange={handleColorChange}
+        onClothTypeChange={handleClothTypeChange}
+        onTearingToggle={handleTearingToggle}
+        onWorkerToggle={handleWorkerToggle}
+        onPinLayoutChange={handlePinLayoutChange}
+        onEditPinsToggle={handleEditPinsToggle}
+        onFabricChange={handleFabricChange}
+        onImageTargetChange={handleImageTargetChange}
+        onTrackingChange={handleTrackingChange}
+        onStiffnessChange={handleStiffnessChange}
+        onDampingChange={handleDampingChange}
+        onGravityChange={handleGravityChange}
+        onWindDirectionChange={handleWindDirectionChange}
+        onWindTurbulenceChange={handleWindTurbulenceChange}
+        onClothSizeChange={handleClothSizeChange}
+        onResolutionChange={handleResolutionChange}
+        onPinSpacingChange={handlePinSpacingChange}
+        onCopyLink={handleCopyLink}
+        onReset={handleReset}
+      />
+    </>
+  )
+}
+
+export default ClothExperienceControls
@@ -1,6 +1,18 @@
 import { useThree, useFrame, createPortal } from '@react-three/fiber'
-import { useEffect, memo, useCallback, useState, useRef } from 'react'
+import { useEffect, memo, useCallback, useMemo, useState } from 'react'
 import * as THREE from 'three'
+import { imageTargetPipelineModule } from '../xr/imageTargets'
+import { FACE_CONTROLLER_CONFIG, facePipelineModule } from '../xr/faces'
+import { startSession, stopSession, useXRPaused, watchPageVisibility } from '../xr/sessionManager'
+import { xrSessionPipelineModule } from '../xr/session'
+import { placementPipelineModule } from '../xr/placement'
+import { touchPipelineModule } from '../xr/touch'
+import { useXRPipelineModule } from '../xr/pipelineModules'
+import { reportXRError, xrErrorPipelineModule } from '../xr/errors'
+import { getDeviceInfo } from '../xr/device'
+import { getRequestedMode, getXRMode, setXRMode, useXRMode } from '../xr/mode'
+import { loadEighthWall } from '../xr/loader'
+import DesktopPreview from '../xr/DesktopPreview'
 
 // Separate component for AR content
 const ARContent = memo(({ children }) => {
@@ -8,6 +20,10 @@ const ARContent = memo(({ children }) => {
   const { scene, camera } = xrScene || {}
   const set = useThree((state) => state.set)
 
+  // Drags on the content shouldn't scroll the page for as long as it's shown
+  const touchModule = useMemo(touchPipelineModule, [])
+  useXRPipelineModule(touchModule)
+
   useEffect(() => {
     if (camera) {
       set({ camera })
@@ -28,13 +44,11 @@ const ARContent = memo(({ children }) => {
   return createPortal(children, scene)
 })
 
-// Main bridge component
-const EightWallBridge = memo(({ children }) => {
+// Runs the 8th Wall camera pipeline once XR8 has loaded
+const ARSession = memo(({ children, imageTargets, tracking }) => {
+  const faceMode = tracking === 'face'
   const gl = useThree((state) => state.gl)
   const [xr8Ready, setXr8Ready] = useState(false)
-  const [error, setError] = useState(null)
-  const initialized = useRef(false)
-  const cleanupRef = useRef(null)
 
   const setupScene = useCallback(({ camera, renderer }) => {
     try {
@@ -57,17 +71,17 @@ const EightWallBridge = memo(({ children }) => {
       camera.near = 0.1
       camera.far = 100
       camera.updateProjectionMatrix()
-      camera.position.set(0, 3, 4)
+      // Faces are tracked relative to a camera at the origin
+      if (!faceMode) camera.position.set(0, 3, 4)
     } catch (err) {
-      console.error('Error setting up scene:', err)
-      setError(err)
+      reportXRError(err)
     }
-  }, [])
+  }, [faceMode])
 
   const initScenePipelineModule = useCallback(() => {
     return {
       name: 'threejsinitscene',
-      onStart: ({ canvas }) => {
+      onStart: () => {
         try {
           const xrScene = window.XR8?.Threejs?.xrScene()
           if (!xrScene) {
@@ -77,24 +91,8 @@ const EightWallBridge = memo(({ children }) => {
           const { camera, renderer } = xrScene
           setupScene({ camera, renderer })
 
-          // Touch event handlers
-          const handleTouchMove = (event) => event.preventDefault()
-          const handleTouchStart = (e) => {
-            if (e.touches.length === 1) {
-              window.XR8?.XrController?.recenter()
-            }
-          }
-
-          // Add event listeners
-          canvas.addEventListener('touchmove', handleTouchMove, {
-            passive: false,
-          })
-          canvas.addEventListener('touchstart', handleTouchStart, {
-            passive: true,
-          })
-
           // Sync camera parameters
-          if (window.XR8?.XrController?.updateCameraProjectionMatrix) {
+          if (!faceMode && window.XR8?.XrController?.updateCameraProjectionMatrix) {
             window.XR8.XrController.updateCameraProjectionMatrix({
               origin: camera.position,
               facing: camera.quaternion,
@@ -103,104 +101,129 @@ const EightWallBridge = memo(({ children }) => {
 
           camera.userData.ready = true
           setXr8Ready(true)
-
-          // Store cleanup function
-          cleanupRef.current = () => {
-            canvas.removeEventListener('touchmove', handleTouchMove)
-            canvas.removeEventListener('touchstart', handleTouchStart)
-          }
-
-          return cleanupRef.current
         } catch (err) {
-          console.error('Error in pipeline module:', err)
-          setError(err)
+          reportXRError(err)
         }
       },
+      // The next start (e.g. a restart) brings a new scene to render into
+      onDetach: () => {
+        setXr8Ready(false)
+      },
     }
-  }, [setupScene])
+  }, [setupScene, faceMode])
 
   useEffect(() => {
-    const initXR = async () => {
-      if (!window.XR8 || initialized.current) return
-      
-      try {
-        initialized.current = true
-
-        const canvas = gl.domElement
-        window.THREE = THREE
-
-        // Clear any existing pipeline modules
-        if (window.XR8.clearCameraPipelineModules) {
-          window.XR8.clearCameraPipelineModules()
+    window.THREE = THREE
+
+    // Pipeline modules configuration
+    const pipelineModules = [
+      window.XR8.GlTextureRenderer?.pipelineModule(),
+      window.XR8.Threejs?.pipelineModule(),
+      // The front camera tracks faces instead of the world
+      faceMode
+        ? window.XR8.FaceController?.pipelineModule()
+        : window.XR8.XrController?.pipelineModule(),
+      window.XRExtras?.FullWindowCanvas?.pipelineModule(),
+      window.XRExtras?.Loading?.pipelineModule(),
+      // In place of XRExtras' RuntimeError screen, for <XRErrorOverlay>
+      xrErrorPipelineModule(),
+      xrSessionPipelineModule(),
+      placementPipelineModule(),
+      faceMode ? facePipelineModule() : imageTargetPipelineModule(),
+      initScenePipelineModule(),
+    ].filter(Boolean) // Remove any undefined modules
+
+    startSession({
+      canvas: gl.domElement,
+      modules: pipelineModules,
+      imageTargets: faceMode ? [] : imageTargets,
+      runConfig: faceMode
+        ? {
+          cameraConfig: { direction: window.XR8.XrConfig?.camera()?.FRONT || 'front' },
+          allowedDevices: window.XR8.XrConfig?.device()?.ANY || 'any',
         }
-
-        // Pipeline modules configuration
-        const pipelineModules = [
-          window.XR8.GlTextureRenderer?.pipelineModule(),
-          window.XR8.Threejs?.pipelineModule(),
-          window.XR8.XrController?.pipelineModule(),
-          window.XRExtras?.FullWindowCanvas?.pipelineModule(),
-          window.XRExtras?.Loading?.pipelineModule(),
-          window.XRExtras?.RuntimeError?.pipelineModule(),
-          initScenePipelineModule(),
-        ].filter(Boolean) // Remove any undefined modules
-
-        window.XR8.addCameraPipelineModules(pipelineModules)
-
-        // Start XR with optimized configuration
-        await window.XR8.run({
-          canvas,
+        : {
           disableWorldTracking: false,
           allowedDevices: window.XR8.XrConfig?.device()?.ANY || 'any',
-        })
-      } catch (err) {
-        console.error('Failed to initialize XR8:', err)
-        setError(err)
-        initialized.current = false
-      }
-    }
-
-    // Wait for XR8 to be available
-    if (window.XR8) {
-      initXR()
-    } else {
-      const handleXRLoaded = () => initXR()
-      window.addEventListener('xrloaded', handleXRLoaded)
-      
-      return () => {
-        window.removeEventListener('xrloaded', handleXRLoaded)
-      }
-    }
+        },
+      configure: faceMode ? (XR8) => XR8.FaceController?.configure(FACE_CONTROLLER_CONFIG) : null,
+    }).catch((err) => reportXRError(err))
 
-    return () => {
-      if (cleanupRef.current) {
-        cleanupRef.current()
-      }
-      if (window.XR8?.stop) {
-        window.XR8.stop()
-      }
-      initialized.current = false
-      setXr8Ready(false)
-    }
-  }, [gl.domElement, initScenePipelineModule])
+    // Deferred, so StrictMode's remount picks the same session back up
+    return stopSession
+  }, [gl.domElement, initScenePipelineModule, imageTargets, faceMode])
 
   // Disable R3F rendering loop since 8th Wall handles it
   useFrame(() => null, 1)
 
-  // Error boundary-like behavior
-  if (error) {
-    console.error('EightWallBridge Error:', error)
-    return (
-      <mesh>
-        <boxGeometry args={[1, 1, 1]} />
-        <meshBasicMaterial color="red" />
-      </mesh>
-    )
-  }
-
   if (!xr8Ready) return null
 
   return <ARContent>{children}</ARContent>
 })
 
+// Main bridge component. Loads 8th Wall and renders through it, or as a
+// desktop preview when asked to (?mode=desktop) or when the scripts can't be
+// loaded on a non-mobile device. `imageTargets` names the project's image
+// targets to track for <ImageTargetAnchor>. `tracking` picks world tracking
+// on the back camera ('world') or face tracking on the front one ('face', for
+// <FaceAnchor>); switching restarts the session without a reload.
+const EightWallBridge = memo(({ children, imageTargets, tracking = 'world' }) => {
+  const mode = useXRMode()
+  const paused = useXRPaused()
+  const gl = useThree((state) => state.gl)
+  const setFrameloop = useThree((state) => state.setFrameloop)
+
+  // Hidden pages stop the camera and the cloth alike
+  useEffect(() => watchPageVisibility(), [])
+
+  useEffect(() => {
+    setFrameloop(paused ? 'never' : 'always')
+  }, [paused, setFrameloop])
+
+  // A lost context can't be recovered in place; <XRErrorOverlay> offers to
+  // rebuild the canvas
+  useEffect(() => {
+    const handleContextLost = () => reportXRError(new Error('WebGL context lost'), 'webgl-lost')
+    gl.domElement.addEventListener('webglcontextlost', handleContextLost)
+    return () => gl.domElement.removeEventListener('webglcontextlost', handleContextLost)
+  }, [gl])
+
+  useEffect(() => {
+    // Already decided, e.g. by the user picking the preview
+    if (getXRMode()) return
+
+    const requested = getRequestedMode()
+    if (requested) {
+      setXRMode(requested)
+      return
+    }
+
+    let cancelled = false
+    loadEighthWall().then(
+      () => {
+        if (!cancelled) setXRMode('ar')
+      },
+      (err) => {
+        if (cancelled) return
+        // Without the scripts there is no AR: phones get told why, anything
+        // else gets the preview
+        if (getDeviceInfo().mobile) {
+          reportXRError(err)
+        } else {
+          console.warn(`${err.message}; showing the desktop preview`)
+          setXRMode('desktop')
+        }
+      }
+    )
+
+    return () => {
+      cancelled = true
+    }
+  }, [])
+
+  if (mode === 'desktop') return <DesktopPreview>{children}</DesktopPreview>
+  if (mode !== 'ar') return null
+  return <ARSession imageTargets={imageTargets} tracking={tracking}>{children}</ARSession>
+})
+
 export default EightWallBridge
@@ -1,4 +1,4 @@
-import React, { useState } from 'react'
+import React from 'react'
 import Lights from './Lights'
 import Ground from './components/Ground'
 import WobbleDonut from './components/WobbleDonut'
@@ -6,40 +6,104 @@ import SimpleIcosahedron from './components/SimpleIcosahedron'
 import Character from './components/Character'
 import Rock from './components/Rock'
 import ClothSimulation from './components/ClothSimulation'
-import AdvancedClothSimulation from './components/AdvancedClothSimulation'
 import { Environment } from '@react-three/drei'
+import ImageTargetAnchor from '../xr/ImageTargetAnchor'
+import PlacementRoot from '../xr/PlacementRoot'
+import FaceVeil from './components/FaceVeil'
+import ClothColliderScope from './components/ClothColliderScope'
+import { useClothState } from './clothState'
+import ErrorBoundary from '../components/ErrorBoundary'
 
-export default function Scene({ clothSettings, resetKey }) {
-  const ClothComponent = clothSettings.clothType === "advanced"
-    ? AdvancedClothSimulation
-    : ClothSimulation
+// The cloth experience's scene, in the shared XR canvas. Follows the settings
+// its controls change.
+export default function Scene() {
+  const { settings: clothSettings, resetKey } = useClothState()
+
+  // The front camera's face mode wears the cloth as a veil instead
+  if (clothSettings.tracking === "face") {
+    return (
+      <>
+        <Environment preset="city" background={false} />
+        <Lights />
+        <ClothColliderScope>
+          <FaceVeil
+            key={resetKey}
+            color={clothSettings.color}
+            fabric={clothSettings.fabric || undefined}
+          />
+        </ClothColliderScope>
+      </>
+    )
+  }
+
+  // Anchored cloth hangs from the top edge of the image, which is one unit tall
+  const anchored = !!clothSettings.imageTarget
+
+  // Type, size and resolution change the cloth topology, so they rebuild it.
+  // Moving in or out of an anchor remounts it anyway.
+  const cloth = (
+    <ClothSimulation
+      key={`${resetKey}:${clothSettings.clothType}:${clothSettings.clothSize.width}x${clothSettings.clothSize.height}:${clothSettings.resolution}`}
+      position={anchored ? [0, 0.5, 0.01] : [0, 3, 0]}
+      scale={anchored ? 0.5 : 1}
+      hang={anchored}
+      clothType={clothSettings.clothType}
+      windIntensity={clothSettings.windIntensity}
+      showSphere={clothSettings.showSphere}
+      color={clothSettings.color}
+      enableTearing={clothSettings.enableTearing}
+      useWorker={clothSettings.useWorker}
+      pinLayout={clothSettings.pinLayout}
+      editPins={clothSettings.editPins}
+      fabric={clothSettings.fabric}
+      stiffness={clothSettings.stiffness}
+      damping={clothSettings.damping}
+      gravity={clothSettings.gravity}
+      windDirection={clothSettings.windDirection}
+      windTurbulence={clothSettings.windTurbulence}
+      clothSize={clothSettings.clothSize}
+      resolution={clothSettings.resolution}
+      pinSpacing={clothSettings.pinSpacing}
+    />
+  )
 
   return (
     <>
       {/* <color attach="background" args={['red']} /> */}
       <Environment preset="city" background={false} />
 
-      <Lights />
-      {/* <Character
-        position={[1, 0, 0.5]}
-        scale={[2, 2, 2]}
-        rotation={[0, -Math.PI / 2, 0]}
-      />
-      <Rock position={[-1.1, 0, 0.5]} scale={[6, 10, 6]} />
-      <WobbleDonut castShadow position={[-1.5, 4, -1.5]} />
-      <SimpleIcosahedron castShadow position={[2, 0, -1.5]} args={[1, 0]} /> */}
-
-      {/* Dynamic cloth component based on type */}
-      <ClothComponent
-        key={resetKey}
-        position={[0, 3, 0]}
-        windIntensity={clothSettings.windIntensity}
-        showSphere={clothSettings.showSphere}
-        color={clothSettings.color}
-        enableTearing={clothSettings.enableTearing}
-      />
-
-      <Ground />
+      {/* Floor content goes wherever the user taps to place it */}
+      <PlacementRoot>
+        <Lights />
+        <ClothColliderScope>
+          {/* Caped mannequin; a missing model leaves the rest of the scene be */}
+          <ErrorBoundary fallback={null}>
+            <Character
+              position={[1, 0, 0.5]}
+              scale={[2, 2, 2]}
+              rotation={[0, -Math.PI / 2, 0]}
+              cape
+            />
+          </ErrorBoundary>
+
+          {/* <WobbleDonut castShadow position={[-1.5, 4, -1.5]} />
+          <SimpleIcosahedron castShadow position={[2, 0, -1.5]} args={[1, 0]} /> */}
+
+          {/* Mesh collider: unpinned cloth drapes over it */}
+          <Rock position={[-1.1, 0, 0.5]} scale={[6, 10, 6]} />
+
+          {!anchored && cloth}
+
+          <Ground />
+        </ClothColliderScope>
+      </PlacementRoot>
+
+      {/* Anchored cloth hangs off the tracked image instead */}
+      {anchored && (
+        <ImageTargetAnchor name={clothSettings.imageTarget} lost="fade">
+          <ClothColliderScope>{cloth}</ClothColliderScope>
+        </ImageTargetAnchor>
+      )}
     </>
   )
 }
@@ -0,0 +1,40 @@
+import { useSyncExternalStore } from 'react'
+import { loadSettings } from './settings'
+
+// State the cloth experience's scene and controls share, since the shell
+// renders them apart: the scene in the XR canvas, the controls over it.
+//   settings: the cloth settings, starting from the page's query string (or
+//             the last saved settings); useClothSettings mirrors them back
+//   resetKey: bumped to rebuild the cloth from scratch
+let state = null
+const listeners = new Set()
+
+const getState = () => {
+  state ??= { settings: loadSettings(window.location.search), resetKey: 0 }
+  return state
+}
+
+const update = (next) => {
+  state = { ...getState(), ...next }
+  listeners.forEach((listener) => listener())
+}
+
+const subscribe = (listener) => {
+  listeners.add(listener)
+  return () => listeners.delete(listener)
+}
+
+// Takes the new settings or, like a state setter, a function of the old ones
+export const setClothSettings = (next) => {
+  const { settings } = getState()
+  update({ settings: typeof next === 'function' ? next(settings) : next })
+}
+
+export const resetCloth = () => update({ resetKey: getState().resetKey + 1 })
+
+export const useClothState = () => useSyncExternalStore(subscribe, getState)
+
+// The XR config the settings ask for: face tracking when the cloth is worn
+export const useClothXR = () => ({
+  tracking: useSyncExternalStore(subscribe, () => getState().settings.tracking),
+})
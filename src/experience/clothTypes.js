@@ -0,0 +1,71 @@
+import { getFabricPreset, withStructuralStiffness } from '../cloth/fabrics'
+
+// Tunable physics parameters of each cloth type, as surfaced in ClothControls.
+// Switching type or resetting restores these.
+export const CLOTH_TYPE_DEFAULTS = {
+  basic: {
+    stiffness: 0.4,
+    damping: 0.99,
+    gravity: -9.8,
+    windDirection: { x: 0, z: 0 },
+    windTurbulence: 1.0,
+    clothSize: { width: 2, height: 2 },
+    resolution: 25,
+    pinSpacing: 5,
+  },
+  advanced: {
+    stiffness: 0.25,
+    damping: 0.995,
+    gravity: -9.8,
+    windDirection: { x: 0, z: 0 },
+    windTurbulence: 1.0,
+    clothSize: { width: 2.5, height: 2.5 },
+    resolution: 30,
+    pinSpacing: 6,
+  },
+}
+
+export const getClothTypeDefaults = (clothType) =>
+  CLOTH_TYPE_DEFAULTS[clothType] || CLOTH_TYPE_DEFAULTS.basic
+
+// How each cloth type feels and looks when no fabric preset is picked, in the
+// shape of src/cloth/fabrics.js presets
+export const CLOTH_TYPE_FABRICS = {
+  basic: {
+    label: 'Basic',
+    stiffness: { structural: 0.4, shear: 0.4, bend: 0.4 },
+    damping: 0.99,
+    mass: 1.0,
+    tearStretch: 2.5,
+    material: {
+      roughness: 0.2,
+      sheen: 1.0,
+      sheenRoughness: 0.4,
+      transmission: 0.1,
+      clearcoat: 0,
+      clearcoatRoughness: 0,
+    },
+  },
+  advanced: {
+    label: 'Advanced',
+    stiffness: { structural: 0.25, shear: 0.2, bend: 0.075 },
+    damping: 0.995,
+    mass: 1.0,
+    tearStretch: 2.5,
+    material: {
+      roughness: 0.1,
+      sheen: 1.2,
+      sheenRoughness: 0.3,
+      transmission: 0.15,
+      clearcoat: 0.3,
+      clearcoatRoughness: 0.1,
+    },
+  },
+}
+
+// The fabric a cloth of `clothType` should blend to: the named preset (or the
+// type's own fabric) with the stiffness and damping set in ClothControls
+export function getClothFabric(clothType, fabric, stiffness, damping) {
+  const base = getFabricPreset(fabric) ?? CLOTH_TYPE_FABRICS[clothType] ?? CLOTH_TYPE_FABRICS.basic
+  return { ...withStructuralStiffness(base, stiffness), damping }
+}
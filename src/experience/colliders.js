@@ -0,0 +1,158 @@
+import { createContext, useContext } from 'react'
+import * as THREE from 'three'
+
+// Distance fields per geometry and resolution, in the geometry's own unscaled
+// space; the solver applies the collider's scale when sampling, so moving,
+// rotating or rescaling a mesh collider never rebuilds its field.
+const meshSdfs = new WeakMap()
+
+// The field of `geometry`, or null while it's still being built. The first
+// call starts the build in a worker.
+export function getMeshSdf(geometry, resolution) {
+  if (!meshSdfs.has(geometry)) meshSdfs.set(geometry, new Map())
+  const builds = meshSdfs.get(geometry)
+  if (!builds.has(resolution)) {
+    const build = { sdf: null }
+    builds.set(resolution, build)
+
+    // GLTF positions are often interleaved with other attributes, so they
+    // are copied out rather than read from the underlying array
+    const { position } = geometry.attributes
+    const positions = new Float32Array(position.count * 3)
+    for (let i = 0; i < position.count; i++) {
+      positions[i * 3] = position.getX(i)
+      positions[i * 3 + 1] = position.getY(i)
+      positions[i * 3 + 2] = position.getZ(i)
+    }
+    // Copied too, so transferring it leaves the geometry intact
+    const indices = geometry.index ? Uint32Array.from(geometry.index.array) : null
+
+    const worker = new Worker(new URL('../cloth/meshSdf.worker.js', import.meta.url), { type: 'module' })
+    worker.onmessage = ({ data }) => {
+      build.sdf = data
+      worker.terminate()
+    }
+    worker.onerror = (event) => {
+      console.error('Mesh collider build error:', event.message)
+      worker.terminate()
+    }
+    worker.postMessage({ positions, indices, resolution }, indices ? [positions.buffer, indices.buffer] : [positions.buffer])
+  }
+  return builds.get(resolution).sdf
+}
+
+// Registry of scene objects the cloth collides with. <ClothCollider> adds its
+// group to the registry of its <ClothColliderScope>, and every cloth in that
+// scope reads the whole set each frame, converted into the plain cloth-space
+// data the solver's setColliders takes.
+export function createColliderRegistry() {
+  const entries = new Set()
+  const list = []
+
+  const toCloth = new THREE.Matrix4()
+  const position = new THREE.Vector3()
+  const quaternion = new THREE.Quaternion()
+  const scale = new THREE.Vector3()
+  const axis = new THREE.Vector3()
+
+  // Fills `entry.data` with the collider of `entry.object` in the space of
+  // `clothObject`
+  const update = (entry, clothObject) => {
+    const { object, props, data } = entry
+    object.updateWorldMatrix(true, false)
+    toCloth.copy(clothObject.matrixWorld).invert().multiply(object.matrixWorld)
+    toCloth.decompose(position, quaternion, scale)
+
+    data.shape = props.shape
+    data.x = position.x
+    data.y = position.y
+    data.z = position.z
+    data.friction = props.friction
+    data.restitution = props.restitution
+    data.margin = props.margin
+
+    switch (props.shape) {
+      case 'plane':
+        // The collider's local +Y is the plane normal
+        axis.set(0, 1, 0).applyQuaternion(quaternion)
+        Object.assign(data, { nx: axis.x, ny: axis.y, nz: axis.z })
+        break
+      case 'box':
+        Object.assign(data, {
+          qx: quaternion.x,
+          qy: quaternion.y,
+          qz: quaternion.z,
+          qw: quaternion.w,
+          hx: (props.size[0] / 2) * scale.x,
+          hy: (props.size[1] / 2) * scale.y,
+          hz: (props.size[2] / 2) * scale.z,
+        })
+        break
+      case 'mesh':
+        Object.assign(data, {
+          qx: quaternion.x,
+          qy: quaternion.y,
+          qz: quaternion.z,
+          qw: quaternion.w,
+          sx: scale.x,
+          sy: scale.y,
+          sz: scale.z,
+          sdf: getMeshSdf(props.geometry, props.resolution),
+        })
+        break
+      case 'capsule':
+        if (props.start && props.end) {
+          // Between two points in the collider's local space, e.g. a bone and
+          // its child
+          axis.copy(props.start).applyMatrix4(toCloth)
+          Object.assign(data, { ax: axis.x, ay: axis.y, az: axis.z })
+          axis.copy(props.end).applyMatrix4(toCloth)
+          Object.assign(data, { bx: axis.x, by: axis.y, bz: axis.z })
+          data.radius = props.radius * Math.max(scale.x, scale.y, scale.z)
+          break
+        }
+        // Along the collider's local Y, like three's CapsuleGeometry
+        axis.set(0, props.length / 2, 0).applyMatrix4(toCloth)
+        Object.assign(data, { ax: axis.x, ay: axis.y, az: axis.z })
+        axis.set(0, -props.length / 2, 0).applyMatrix4(toCloth)
+        Object.assign(data, { bx: axis.x, by: axis.y, bz: axis.z })
+        data.radius = props.radius * Math.max(scale.x, scale.z)
+        break
+      default:
+        data.radius = props.radius * Math.max(scale.x, scale.y, scale.z)
+    }
+  }
+
+  return {
+    // Registers `object` with `props` (read on every collect, so they can be
+    // updated in place); returns the unregister function
+    add: (object, props) => {
+      const entry = { object, props, data: {} }
+      entries.add(entry)
+      return () => entries.delete(entry)
+    },
+    // Colliders in the local space of `clothObject`. The returned array and its
+    // objects are reused between calls.
+    collect: (clothObject) => {
+      clothObject.updateWorldMatrix(true, false)
+      list.length = 0
+      for (const entry of entries) {
+        if (entry.props.enabled === false) continue
+        // Mesh colliders join once their field is built
+        if (entry.props.shape === 'mesh' && !getMeshSdf(entry.props.geometry, entry.props.resolution)) continue
+        update(entry, clothObject)
+        list.push(entry.data)
+      }
+      return list
+    },
+  }
+}
+
+// Provided by <ClothColliderScope>
+export const ClothCollidersContext = createContext(null)
+
+export function useClothColliders() {
+  const colliders = useContext(ClothCollidersContext)
+  if (!colliders) throw new Error('Cloths and cloth colliders need a <ClothColliderScope> around them')
+  return colliders
+}
@@ -0,0 +1,117 @@
+import React, { useMemo, useRef, useState } from 'react'
+import * as THREE from 'three'
+import useClothSimulation from '../hooks/useClothSimulation'
+import useClothPointer from '../hooks/useClothPointer'
+import useFabricBlend from '../hooks/useFabricBlend'
+import { FABRIC_PRESETS, fabricToSolverOptions, getFabricPreset } from '../../cloth/fabrics'
+
+// Hanging garment in meters and m/s², like the scene cloths, stepped more finely
+const GARMENT_OPTIONS = {
+  hang: true,
+  gravity: -9.8,
+  windStrength: 1.0,
+  windModel: 'advanced',
+  iterations: 8,
+  substeps: 2,
+  collisionMargin: 0.02,
+  pin: (x, y) => y === 0,
+}
+
+// A cloth (cape, skirt, scarf) whose top edge is attached to named bones of a
+// skinned model. The top row of vertices is spread along the chain of `bones`
+// found under `skeleton`, moved by `offset` in this component's space, and
+// follows them every frame; the rest hangs and swings with the motion.
+// Place it inside the character's group, near where it attaches.
+export default function BoneCloth({
+  skeleton,
+  bones,
+  offset = [0, 0, 0],
+  width = 0.8,
+  length = 1.1,
+  segmentsX = 12,
+  segmentsY = 16,
+  color = "#a01830",
+  fabric = 'cotton',
+  windIntensity = 0.3,
+  ...props
+}) {
+  const materialRef = useRef()
+  const targetFabric = getFabricPreset(fabric) ?? FABRIC_PRESETS.cotton
+  const [initialFabric] = useState(targetFabric)
+
+  const chain = useMemo(
+    () => bones.map((name) => skeleton?.getObjectByName(name)).filter(Boolean),
+    [skeleton, bones]
+  )
+  const [attachment] = useState(() => ({
+    indices: Array.from({ length: segmentsX + 1 }, (_, x) => x),
+    targets: new Float32Array((segmentsX + 1) * 3),
+    from: new THREE.Vector3(),
+    to: new THREE.Vector3(),
+    point: new THREE.Vector3(),
+  }))
+
+  const { cloth, meshRef, positions } = useClothSimulation(
+    {
+      ...GARMENT_OPTIONS,
+      ...fabricToSolverOptions(initialFabric),
+      width,
+      height: length,
+      segmentsX,
+      segmentsY,
+    },
+    { windIntensity },
+    (state, cloth) => {
+      if (chain.length < 2) return
+
+      // Spread the top row evenly along the bone chain, in cloth space
+      const { indices, targets, from, to, point } = attachment
+      for (const x of indices) {
+        const along = (x / segmentsX) * (chain.length - 1)
+        const segment = Math.min(Math.floor(along), chain.length - 2)
+        chain[segment].getWorldPosition(from)
+        chain[segment + 1].getWorldPosition(to)
+        point.lerpVectors(from, to, along - segment)
+        meshRef.current.worldToLocal(point)
+        targets[x * 3] = point.x + offset[0]
+        targets[x * 3 + 1] = point.y + offset[1]
+        targets[x * 3 + 2] = point.z + offset[2]
+      }
+      cloth.setPinPositions(indices, targets)
+    }
+  )
+
+  const pointerHandlers = useClothPointer(cloth, meshRef)
+
+  useFabricBlend(targetFabric, (blended) => {
+    cloth.setOptions(fabricToSolverOptions(blended))
+    if (materialRef.current) Object.assign(materialRef.current, blended.material)
+  })
+
+  return (
+    <group {...props}>
+      <mesh ref={meshRef} castShadow receiveShadow {...pointerHandlers}>
+        <bufferGeometry>
+          <bufferAttribute
+            attach="attributes-position"
+            count={positions.length / 3}
+            array={positions}
+            itemSize={3}
+          />
+          <bufferAttribute
+            attach="index"
+            count={cloth.indices.length}
+            array={cloth.indices}
+            itemSize={1}
+          />
+        </bufferGeometry>
+        <meshPhysicalMaterial
+          ref={materialRef}
+          color={color}
+          side={THREE.DoubleSide}
+          {...initialFabric.material}
+        />
+      </mesh>
+    </group>
+  )
+}
@@ -1,13 +1,22 @@
 import React, { useRef, useEffect } from 'react'
 import { useGLTF, useAnimations } from '@react-three/drei'
+import BoneCloth from './BoneCloth'
+import useSkeletonColliders from '../hooks/useSkeletonColliders'
 
 const url = '/models/AnimationLibrary_Godot_Standard.glb'
 
-const Character = (props, animation = 'Push_Loop') => {
+// The cape hangs from the shoulders, across the upper chest, and a little
+// behind the mannequin, which faces +Z
+const CAPE_BONES = ['LeftShoulder', 'UpperChest', 'RightShoulder']
+
+const Character = ({ animation = 'Push_Loop', cape = true, capeColor, capeFabric, ...props }) => {
   const group = useRef()
   const { nodes, materials, animations } = useGLTF(url)
   const { actions } = useAnimations(animations, group)
 
+  // Limb capsules keep the cape from passing through the body
+  useSkeletonColliders(nodes.root, { enabled: cape })
+
   useEffect(() => {
     // Start the animation
     if (actions[animation]) {
@@ -19,7 +28,7 @@ const Character = (props, animation = 'Push_Loop') => {
         actions[animation].fadeOut(0.5)
       }
     }
-  }, [actions])
+  }, [actions, animation])
 
   return (
     <group ref={group} {...props} dispose={null}>
@@ -44,6 +53,16 @@ const Character = (props, animation = 'Push_Loop') => {
           <primitive object={nodes.root} />
         </group>
       </group>
+      {cape && (
+        <BoneCloth
+          skeleton={nodes.root}
+          bones={CAPE_BONES}
+          offset={[0, 0, -0.12]}
+          position={[0, 1.45, -0.12]}
+          color={capeColor}
+          fabric={capeFabric}
+        />
+      )}
     </group>
   )
 }
@@ -0,0 +1,51 @@
+import React, { useEffect, useImperativeHandle, useRef } from 'react'
+import { getMeshSdf, useClothColliders } from '../colliders'
+
+// Makes its group an obstacle for every cloth in the scene. The collider
+// follows the group's transform, so it can be positioned, animated or
+// parented like any object; children are only visuals.
+//   plane:   infinite, facing the group's local +Y
+//   sphere:  `radius`
+//   box:     `size` [x, y, z]
+//   capsule: `radius` and segment `length` along local Y
+//   mesh:    a BufferGeometry `geometry`, voxelized into a distance field with
+//            `resolution` cells along its longest side. The field is built in
+//            a worker from mount on, and the collider is inactive until then.
+export default function ClothCollider({
+  ref,
+  shape = 'sphere',
+  radius = 0.5,
+  size = [1, 1, 1],
+  length = 1,
+  geometry,
+  resolution = 48,
+  friction = 0.5,
+  restitution = 0,
+  margin,
+  enabled = true,
+  children,
+  ...props
+}) {
+  const groupRef = useRef()
+  const colliders = useClothColliders()
+  const colliderProps = useRef({})
+
+  useImperativeHandle(ref, () => groupRef.current, [])
+
+  useEffect(() => {
+    Object.assign(colliderProps.current, { shape, radius, size, length, geometry, resolution, friction, restitution, margin, enabled })
+  })
+
+  useEffect(() => colliders.add(groupRef.current, colliderProps.current), [colliders])
+
+  // Starts building the distance field before any cloth asks for it
+  useEffect(() => {
+    if (shape === 'mesh' && geometry) getMeshSdf(geometry, resolution)
+  }, [shape, geometry, resolution])
+
+  return (
+    <group ref={groupRef} {...props}>
+      {children}
+    </group>
+  )
+}
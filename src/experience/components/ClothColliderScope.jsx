@@ -0,0 +1,10 @@
+import React, { useState } from 'react'
+import { ClothCollidersContext, createColliderRegistry } from '../colliders'
+
+// Cloths only collide with the <ClothCollider>s in their own scope, so a
+// cloth anchored to an image or a face ignores the world's floor and props.
+// Wrap each separately anchored part of the scene in one.
+export default function ClothColliderScope({ children }) {
+  const [registry] = useState(createColliderRegistry)
+  return <ClothCollidersContext value={registry}>{children}</ClothCollidersContext>
+}
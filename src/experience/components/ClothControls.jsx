@@ -1,31 +1,52 @@
 import React, { useState } from 'react'
+import { PIN_LAYOUT_LABELS } from '../../cloth/pinLayouts'
+import { FABRIC_PRESETS } from '../../cloth/fabrics'
+import { IMAGE_TARGET_LABELS } from '../imageTargets'
 
 export default function ClothControls({ 
   onWindChange, 
   onShowSphere, 
   onColorChange, 
   onReset,
+  onCopyLink,
   onClothTypeChange,
   onTearingToggle,
+  onWorkerToggle,
+  onPinLayoutChange,
+  onEditPinsToggle,
+  onFabricChange,
+  onImageTargetChange,
+  onTrackingChange,
   onStiffnessChange,
   onDampingChange,
   onGravityChange,
   onWindDirectionChange,
   onWindTurbulenceChange,
   onClothSizeChange,
+  onResolutionChange,
+  onPinSpacingChange,
   windIntensity = 1.0,
   showSphere = true,
   color = "#4080ff",
   clothType = "basic",
   enableTearing = false,
+  useWorker = false,
+  pinLayout = "top-edge",
+  editPins = false,
+  fabric = "",
+  imageTarget = "",
+  tracking = "world",
   stiffness = 0.4,
   damping = 0.99,
-  gravity = -0.0098,
-  windDirection = { x: 1, z: 0.5 },
+  gravity = -9.8,
+  windDirection = { x: 0, z: 0 },
   windTurbulence = 1.0,
-  clothSize = { width: 2, height: 2 }
+  clothSize = { width: 2, height: 2 },
+  resolution = 25,
+  pinSpacing = 5
 }) {
   const [isOpen, setIsOpen] = useState(false)
+  const [linkCopied, setLinkCopied] = useState(false)
 
   const handleColorChange = (event) => {
     onColorChange?.(event.target.value)
@@ -47,6 +68,44 @@ export default function ClothControls({
     onTearingToggle?.(event.target.checked)
   }
 
+  const handleWorkerToggle = (event) => {
+    onWorkerToggle?.(event.target.checked)
+  }
+
+  const handlePinLayoutChange = (event) => {
+    onPinLayoutChange?.(event.target.value)
+  }
+
+  const handleEditPinsToggle = (event) => {
+    onEditPinsToggle?.(event.target.checked)
+  }
+
+  const handleFabricChange = (event) => {
+    onFabricChange?.(event.target.value)
+  }
+
+  const handleImageTargetChange = (event) => {
+    onImageTargetChange?.(event.target.value)
+  }
+
+  const handleTrackingChange = (event) => {
+    onTrackingChange?.(event.target.value)
+  }
+
+  const handleCopyLink = async () => {
+    if (!(await onCopyLink?.())) return
+    setLinkCopied(true)
+    setTimeout(() => setLinkCopied(false), 2000)
+  }
+
+  const handleWindDirectionChange = (axis) => (value) => {
+    onWindDirectionChange?.({ ...windDirection, [axis]: value })
+  }
+
+  const handleClothSizeChange = (dimension) => (value) => {
+    onClothSizeChange?.({ ...clothSize, [dimension]: value })
+  }
+
   return (
     <>
       {/* Toggle button */}
@@ -113,6 +172,78 @@ export default function ClothControls({
             </select>
           </div>
 
+          {/* Fabric Selection */}
+          <div style={{ marginBottom: '15px' }}>
+            <label style={{ display: 'block', marginBottom: '5px' }}>
+              Fabric:
+            </label>
+            <select
+              value={fabric}
+              onChange={handleFabricChange}
+              style={{
+                width: '100%',
+                padding: '5px',
+                background: '#333',
+                color: 'white',
+                border: '1px solid #555',
+                borderRadius: '4px'
+              }}
+            >
+              <option value="">Default</option>
+              {Object.entries(FABRIC_PRESETS).map(([value, preset]) => (
+                <option key={value} value={value}>{preset.label}</option>
+              ))}
+            </select>
+          </div>
+
+          {/* Camera / Tracking Mode */}
+          <div style={{ marginBottom: '15px' }}>
+            <label style={{ display: 'block', marginBottom: '5px' }}>
+              Camera:
+            </label>
+            <select
+              value={tracking}
+              onChange={handleTrackingChange}
+              style={{
+                width: '100%',
+                padding: '5px',
+                background: '#333',
+                color: 'white',
+                border: '1px solid #555',
+                borderRadius: '4px'
+              }}
+            >
+              <option value="world">World (back camera)</option>
+              <option value="face">Face Veil (front camera)</option>
+            </select>
+          </div>
+
+          {/* Image Target Anchor */}
+          {tracking === "world" && (
+            <div style={{ marginBottom: '15px' }}>
+              <label style={{ display: 'block', marginBottom: '5px' }}>
+                Hang From:
+              </label>
+              <select
+                value={imageTarget}
+                onChange={handleImageTargetChange}
+                style={{
+                  width: '100%',
+                  padding: '5px',
+                  background: '#333',
+                  color: 'white',
+                  border: '1px solid #555',
+                  borderRadius: '4px'
+                }}
+              >
+                <option value="">World (tap to place)</option>
+                {Object.entries(IMAGE_TARGET_LABELS).map(([value, label]) => (
+                  <option key={value} value={value}>Image Target: {label}</option>
+                ))}
+              </select>
+            </div>
+          )}
+
           {/* Wind Control */}
           <div style={{ marginBottom: '15px' }}>
             <label style={{ display: 'block', marginBottom: '5px' }}>
@@ -129,6 +260,20 @@ export default function ClothControls({
             />
           </div>
 
+          {/* Physics Parameters */}
+          <SliderControl label="Stiffness" value={stiffness} min={0.05} max={1} step={0.05} onChange={onStiffnessChange} />
+          <SliderControl label="Damping" value={damping} min={0.9} max={1} step={0.001} digits={3} onChange={onDampingChange} />
+          <SliderControl label="Gravity" value={gravity} min={-20} max={0} step={0.1} digits={1} onChange={onGravityChange} />
+          <SliderControl label="Wind Direction X" value={windDirection.x} min={-1} max={1} step={0.1} onChange={handleWindDirectionChange('x')} />
+          <SliderControl label="Wind Direction Z" value={windDirection.z} min={-1} max={1} step={0.1} onChange={handleWindDirectionChange('z')} />
+          <SliderControl label="Wind Turbulence" value={windTurbulence} min={0} max={3} step={0.1} onChange={onWindTurbulenceChange} />
+
+          {/* Cloth Shape (rebuilds the cloth) */}
+          <SliderControl label="Width" value={clothSize.width} min={0.5} max={4} step={0.1} onChange={handleClothSizeChange('width')} />
+          <SliderControl label="Height" value={clothSize.height} min={0.5} max={4} step={0.1} onChange={handleClothSizeChange('height')} />
+          <SliderControl label="Resolution" value={resolution} min={5} max={100} step={1} digits={0} onChange={onResolutionChange} />
+          <SliderControl label="Pin Spacing" value={pinSpacing} min={1} max={10} step={1} digits={0} onChange={onPinSpacingChange} />
+
           {/* Sphere Toggle */}
           <div style={{ marginBottom: '15px' }}>
             <label style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
@@ -155,6 +300,53 @@ export default function ClothControls({
             </div>
           )}
 
+          {/* Pin Layout Selection */}
+          <div style={{ marginBottom: '15px' }}>
+            <label style={{ display: 'block', marginBottom: '5px' }}>
+              Pin Layout:
+            </label>
+            <select
+              value={pinLayout}
+              onChange={handlePinLayoutChange}
+              style={{
+                width: '100%',
+                padding: '5px',
+                background: '#333',
+                color: 'white',
+                border: '1px solid #555',
+                borderRadius: '4px'
+              }}
+            >
+              {Object.entries(PIN_LAYOUT_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </div>
+
+          {/* Pin Edit Toggle */}
+          <div style={{ marginBottom: '15px' }}>
+            <label style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+              <input
+                type="checkbox"
+                checked={editPins}
+                onChange={handleEditPinsToggle}
+              />
+              Edit Pins (tap cloth to toggle)
+            </label>
+          </div>
+
+          {/* Worker Toggle */}
+          <div style={{ marginBottom: '15px' }}>
+            <label style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+              <input
+                type="checkbox"
+                checked={useWorker}
+                onChange={handleWorkerToggle}
+              />
+              Run Physics in Worker
+            </label>
+          </div>
+
           {/* Color Picker */}
           <div style={{ marginBottom: '15px' }}>
             <label style={{ display: 'block', marginBottom: '5px' }}>
@@ -168,6 +360,24 @@ export default function ClothControls({
             />
           </div>
 
+          {/* Share Link Button */}
+          <button
+            onClick={handleCopyLink}
+            style={{
+              width: '100%',
+              padding: '8px',
+              background: '#4080ff',
+              color: 'white',
+              border: 'none',
+              borderRadius: '4px',
+              cursor: 'pointer',
+              fontSize: '14px',
+              marginBottom: '10px'
+            }}
+          >
+            {linkCopied ? 'Link Copied!' : 'Copy Link'}
+          </button>
+
           {/* Reset Button */}
           <button
             onClick={onReset}
@@ -189,10 +399,33 @@ export default function ClothControls({
           <div style={{ fontSize: '12px', opacity: 0.7, lineHeight: '1.4' }}>
             <p><strong>Basic:</strong> Fast, simple cloth physics</p>
             <p><strong>Advanced:</strong> More realistic with self-collision and enhanced materials</p>
-            <p>Use mouse to interact and orbit controls to move around!</p>
+            <p>Settings are saved and kept in the page URL; Copy Link shares this exact setup.</p>
+            <p>Size and resolution changes rebuild the cloth; everything else applies live.</p>
+            <p>Drag the cloth to pull it around, or turn on Edit Pins and tap to pin or release points.</p>
+            <p>Move picks the scene up to place it again; Recenter resets tracking.</p>
+            <p>On desktop (automatic without 8th Wall, or ?mode=desktop), drag empty space to orbit the camera.</p>
           </div>
         </div>
       )}
     </>
   )
 }
+
+function SliderControl({ label, value, min, max, step, digits = 2, onChange }) {
+  return (
+    <div style={{ marginBottom: '15px' }}>
+      <label style={{ display: 'block', marginBottom: '5px' }}>
+        {label}: {value.toFixed(digits)}
+      </label>
+      <input
+        type="range"
+        min={min}
+        max={max}
+        step={step}
+        value={value}
+        onChange={(event) => onChange?.(parseFloat(event.target.value))}
+        style={{ width: '100%' }}
+      />
+    </div>
+  )
+}
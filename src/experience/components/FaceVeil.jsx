@@ -0,0 +1,48 @@
+import React, { useRef, useState } from 'react'
+import { useFrame } from '@react-three/fiber'
+import BoneCloth from './BoneCloth'
+import ClothCollider from './ClothCollider'
+import FaceAnchor, { FaceAttachment } from '../../xr/FaceAnchor'
+
+// Face points the veil's top edge runs through, ear to ear over the forehead
+const VEIL_POINTS = ['leftEar', 'forehead', 'rightEar']
+
+// Cloth veil pinned to a tracked face, draping over a head and neck collider.
+// For the front camera's face mode; the cloth itself lives in world space so
+// gravity stays down however the head turns.
+export default function FaceVeil({ faceId = 0, color, fabric = 'silk', windIntensity = 0.3 }) {
+  const [face, setFace] = useState(null)
+  const clothRef = useRef()
+
+  // Only shown while the face is
+  useFrame(() => {
+    if (face && clothRef.current) clothRef.current.visible = face.visible
+  })
+
+  return (
+    <>
+      <FaceAnchor ref={setFace} faceId={faceId}>
+        {VEIL_POINTS.map((point) => (
+          <FaceAttachment key={point} point={point} />
+        ))}
+        <ClothCollider shape="sphere" radius={0.55} position={[0, 0.1, -0.4]} friction={0.6} />
+        <ClothCollider shape="capsule" radius={0.25} length={0.5} position={[0, -0.8, -0.45]} friction={0.6} />
+      </FaceAnchor>
+
+      {face && (
+        <group ref={clothRef}>
+          <BoneCloth
+            skeleton={face}
+            bones={VEIL_POINTS}
+            offset={[0, 0.1, -0.05]}
+            width={1.4}
+            length={1.3}
+            color={color}
+            fabric={fabric}
+            windIntensity={windIntensity}
+          />
+        </group>
+      )}
+    </>
+  )
+}
@@ -1,9 +1,15 @@
-const Ground = () => {
+import ClothCollider from './ClothCollider'
+
+// Shadow-catching floor at y = 0. By default it is also an infinite plane
+// collider, so dropped cloth lies on the real floor in AR.
+const Ground = ({ collider = true, friction = 0.8 }) => {
   return (
-    <mesh receiveShadow rotation={[-Math.PI / 2, 0, 0]} position={[0, 0, 0]}>
-      <planeGeometry args={[400, 400]} />
-      <shadowMaterial opacity={0.5} />
-    </mesh>
+    <ClothCollider shape="plane" friction={friction} enabled={collider}>
+      <mesh receiveShadow rotation={[-Math.PI / 2, 0, 0]} position={[0, 0, 0]}>
+        <planeGeometry args={[400, 400]} />
+        <shadowMaterial opacity={0.5} />
+      </mesh>
+    </ClothCollider>
   )
 }
 
@@ -0,0 +1,38 @@
+import { useRef } from 'react'
+import { useFrame } from '@react-three/fiber'
+import * as THREE from 'three'
+
+const matrix = new THREE.Matrix4()
+
+// Small spheres on the cloth's pinned vertices. Instanced and refreshed every
+// frame, so markers follow pins as they're toggled, re-laid out or dragged.
+export default function PinMarkers({ cloth, radius = 0.02, children }) {
+  const meshRef = useRef()
+
+  useFrame(() => {
+    const mesh = meshRef.current
+    if (!mesh) return
+
+    const pinned = cloth.getPinnedIndices()
+    const positions = cloth.getRenderPositions()
+    mesh.count = Math.min(pinned.length, cloth.vertexCapacity)
+    for (let i = 0; i < mesh.count; i++) {
+      const p = pinned[i] * 3
+      matrix.makeTranslation(positions[p], positions[p + 1], positions[p + 2])
+      mesh.setMatrixAt(i, matrix)
+    }
+    mesh.instanceMatrix.needsUpdate = true
+  })
+
+  return (
+    <instancedMesh
+      ref={meshRef}
+      args={[undefined, undefined, cloth.vertexCapacity]}
+      count={0}
+      frustumCulled={false}
+    >
+      <sphereGeometry args={[radius, 8, 8]} />
+      {children}
+    </instancedMesh>
+  )
+}
@@ -0,0 +1,89 @@
+import React from 'react'
+import { recenter, startPlacing, usePlacement } from '../../xr/placement'
+import { useXRMode } from '../../xr/mode'
+import { useTrackingState, useXRStatus } from '../../xr/session'
+import { pause, resume, useXRPaused } from '../../xr/sessionManager'
+import { useXRLoadProgress } from '../../xr/loader'
+
+const buttonStyle = {
+  background: 'rgba(0, 0, 0, 0.7)',
+  color: 'white',
+  border: 'none',
+  borderRadius: '8px',
+  padding: '10px 15px',
+  cursor: 'pointer',
+  fontSize: '14px',
+  fontFamily: 'monospace'
+}
+
+// What to tell the user while world tracking is limited, by 8th Wall's reason
+const TRACKING_HINTS = {
+  INITIALIZING: 'Move your phone slowly to start tracking',
+  TOO_MUCH_MOTION: 'Move your phone more slowly',
+  NOT_ENOUGH_TEXTURE: 'Point at a surface with more detail',
+}
+
+// Overlay for placing the scene: load progress until the camera runs, a hint
+// while the reticle is out, and Move / Recenter buttons once it's down, with a
+// hint when tracking is poor. Pause stops the camera and the cloth alike.
+export default function PlacementControls() {
+  const { placing } = usePlacement()
+  const mode = useXRMode()
+  const status = useXRStatus()
+  const paused = useXRPaused()
+  const tracking = useTrackingState()
+  const progress = useXRLoadProgress()
+
+  return (
+    <div
+      style={{
+        position: 'fixed',
+        bottom: '30px',
+        left: 0,
+        right: 0,
+        display: 'flex',
+        justifyContent: 'center',
+        flexWrap: 'wrap',
+        gap: '10px',
+        zIndex: 1000,
+        pointerEvents: 'none'
+      }}
+    >
+      {!mode && (
+        <div style={{ ...buttonStyle, cursor: 'default' }}>
+          Loading AR… {progress.loaded}/{progress.total}
+        </div>
+      )}
+      {mode === 'ar' && status === 'loading' && (
+        <div style={{ ...buttonStyle, cursor: 'default' }}>
+          Starting the camera…
+        </div>
+      )}
+      {mode === 'ar' && tracking.state === 'limited' && (
+        <div style={{ ...buttonStyle, cursor: 'default', flexBasis: '100%', textAlign: 'center' }}>
+          {TRACKING_HINTS[tracking.reason] ?? 'Tracking is limited'}
+        </div>
+      )}
+      {status === 'running' && (placing ? (
+        <div style={{ ...buttonStyle, cursor: 'default' }}>
+          {mode === 'ar' ? 'Point at the floor and tap to place' : 'Click to place the scene at the marker'}
+        </div>
+      ) : (
+        <button onClick={startPlacing} style={{ ...buttonStyle, pointerEvents: 'auto' }}>
+          Move
+        </button>
+      ))}
+      {/* Only AR has tracking to reset */}
+      {mode === 'ar' && status === 'running' && (
+        <button onClick={recenter} style={{ ...buttonStyle, pointerEvents: 'auto' }}>
+          Recenter
+        </button>
+      )}
+      {mode && (status === 'running' || paused) && (
+        <button onClick={() => (paused ? resume() : pause())} style={{ ...buttonStyle, pointerEvents: 'auto' }}>
+          {paused ? 'Resume' : 'Pause'}
+        </button>
+      )}
+    </div>
+  )
+}
@@ -1,18 +1,28 @@
 import React from 'react'
 import { useGLTF } from '@react-three/drei'
+import ClothCollider from './ClothCollider'
 
 const url = '/models/rock-v1.glb'
 
-const Rock = (props) => {
+// The cloth drapes over the rock's actual surface; pass `collider={false}` to
+// keep it purely visual
+const Rock = ({ collider = true, ...props }) => {
   const { nodes, materials } = useGLTF(url)
 
   return (
     <group {...props} dispose={null}>
-      <mesh
-        castShadow
+      <ClothCollider
+        shape="mesh"
         geometry={nodes.defaultMaterial.geometry}
-        material={materials.DefaultMaterial}
-      />
+        friction={0.6}
+        enabled={collider}
+      >
+        <mesh
+          castShadow
+          geometry={nodes.defaultMaterial.geometry}
+          material={materials.DefaultMaterial}
+        />
+      </ClothCollider>
     </group>
   )
 }
@@ -0,0 +1,137 @@
+import React from 'react'
+import { clearXRError, useXRError } from '../../xr/errors'
+import { setXRMode } from '../../xr/mode'
+import { getDeviceInfo } from '../../xr/device'
+
+// Title and what to do about it, per kind of AR failure
+function getGuidance(kind) {
+  const device = getDeviceInfo()
+
+  switch (kind) {
+    case 'permission':
+      return {
+        title: 'Camera access is blocked',
+        steps: device.ios
+          ? ['Open Settings › Safari › Camera and choose Allow (or tap "aA" › Website Settings in the address bar).', 'Come back and try again.']
+          : ['Tap the icon next to the address bar, open Permissions and allow the camera.', 'Try again.'],
+      }
+    case 'camera-busy':
+      return {
+        title: 'The camera is in use',
+        steps: ['Close other apps or tabs using the camera.', 'Try again.'],
+      }
+    case 'no-camera':
+      return {
+        title: 'No camera found',
+        steps: device.mobile
+          ? ['Check that the camera isn\'t turned off for this browser, or try another phone.']
+          : ['Connect a camera and try again, or look around in the 3D preview.'],
+        preview: true,
+      }
+    case 'unsupported':
+      if (device.ios && !device.safari) {
+        return { title: 'This browser can\'t run AR', steps: ['Open this page in Safari.'], preview: true }
+      }
+      if (device.inApp) {
+        return { title: 'This in-app browser can\'t run AR', steps: ['Open this page in Chrome from the menu.'], preview: true }
+      }
+      return {
+        title: 'AR isn\'t supported here',
+        steps: device.mobile
+          ? ['Update your browser, or try another phone.']
+          : ['Open this page on a phone, or look around in the 3D preview.'],
+        preview: true,
+      }
+    case 'script-load':
+      return {
+        title: 'AR couldn\'t load',
+        steps: ['Check your connection and try again.'],
+        preview: true,
+      }
+    case 'missing-key':
+      // A deploy problem rather than the user's, and retrying can't fix it
+      return {
+        title: 'AR isn\'t set up on this site',
+        steps: ['This build has no 8th Wall app key (VITE_8THWALL_APP_KEY). You can still look around in the 3D preview.'],
+        preview: true,
+        retry: false,
+      }
+    case 'webgl-lost':
+      return {
+        title: 'The graphics were reset',
+        steps: ['This happens after long breaks or when memory runs low. Try again to restart.'],
+      }
+    default:
+      return {
+        title: 'Something went wrong with AR',
+        steps: ['Try again to restart the session.'],
+      }
+  }
+}
+
+const buttonStyle = {
+  width: '100%',
+  padding: '10px',
+  color: 'white',
+  border: 'none',
+  borderRadius: '4px',
+  cursor: 'pointer',
+  fontSize: '14px',
+  fontFamily: 'monospace',
+  marginTop: '10px'
+}
+
+// Full-screen explanation of why AR stopped, with a way out. `onRetry` should
+// tear the XR session down completely and start it again.
+export default function XRErrorOverlay({ onRetry }) {
+  const current = useXRError()
+  if (!current) return null
+
+  const { title, steps, preview, retry = true } = getGuidance(current.kind)
+
+  const handlePreview = () => {
+    clearXRError()
+    setXRMode('desktop')
+  }
+
+  return (
+    <div
+      style={{
+        position: 'fixed',
+        inset: 0,
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        background: 'rgba(0, 0, 0, 0.85)',
+        color: 'white',
+        zIndex: 2000,
+        fontFamily: 'monospace',
+        fontSize: '14px',
+        padding: '20px'
+      }}
+    >
+      <div style={{ maxWidth: '320px', width: '100%' }}>
+        <h2 style={{ fontSize: '18px', marginTop: 0 }}>{title}</h2>
+        {steps.map((step) => (
+          <p key={step} style={{ lineHeight: '1.4' }}>{step}</p>
+        ))}
+        {retry && (
+          <button onClick={onRetry} style={{ ...buttonStyle, background: '#4080ff' }}>
+            Try Again
+          </button>
+        )}
+        {preview && (
+          <button onClick={handlePreview} style={{ ...buttonStyle, background: 'rgba(255, 255, 255, 0.2)' }}>
+            Use 3D Preview
+          </button>
+        )}
+        {current.kind === 'runtime' && (
+          <details style={{ marginTop: '15px', opacity: 0.7, fontSize: '12px' }}>
+            <summary>Error details</summary>
+            <pre style={{ whiteSpace: 'pre-wrap' }}>{String(current.error)}</pre>
+          </details>
+        )}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,105 @@
+import { useEffect, useRef } from 'react'
+import * as THREE from 'three'
+import { beginInteraction, endInteraction } from '../interaction'
+
+// Smoothing of the drag velocity estimate, per pointer move
+const VELOCITY_SMOOTHING = 0.5
+// Holding still this long (ms) before letting go drops the cloth instead of throwing it
+const THROW_WINDOW = 100
+
+// Cloth vertex nearest to the hit point of an R3F pointer event, picked among
+// the corners of the hit triangle. Returns the index and the point in cloth space.
+function pickVertex(event, cloth, mesh) {
+  const point = mesh.worldToLocal(event.point.clone())
+  const positions = cloth.getRenderPositions()
+  const corner = new THREE.Vector3()
+  let index = -1
+  let nearest = Infinity
+  for (const vertex of [event.face.a, event.face.b, event.face.c]) {
+    const distance = point.distanceToSquared(corner.fromArray(positions, vertex * 3))
+    if (distance < nearest) {
+      nearest = distance
+      index = vertex
+    }
+  }
+  return { index, point }
+}
+
+// Pointer handlers for the cloth mesh, working the same for touch and mouse.
+// By default a press grabs the nearest vertex and drags it along a
+// camera-facing plane; with `editPins` a tap toggles its pin instead.
+export default function useClothPointer(cloth, meshRef, { editPins = false } = {}) {
+  const drag = useRef(null)
+
+  const release = (event) => {
+    const current = drag.current
+    if (!current || event.pointerId !== current.pointerId) return
+
+    const throwing = performance.now() - current.time < THROW_WINDOW
+    cloth.release(throwing ? current.velocity : null)
+    event.target.releasePointerCapture(event.pointerId)
+    drag.current = null
+    endInteraction()
+  }
+
+  // Don't leave the cloth grabbed (or touch gestures blocked) on unmount
+  useEffect(() => () => {
+    if (drag.current) {
+      drag.current = null
+      endInteraction()
+    }
+  }, [])
+
+  return {
+    onPointerDown: (event) => {
+      if (drag.current || !event.face || !meshRef.current) return
+      event.stopPropagation()
+
+      const { index, point } = pickVertex(event, cloth, meshRef.current)
+
+      if (editPins) {
+        // Counted as an interaction so the tap doesn't reach canvas gestures
+        beginInteraction()
+        cloth.togglePin(index)
+        setTimeout(endInteraction)
+        return
+      }
+
+      const normal = event.camera.getWorldDirection(new THREE.Vector3()).negate()
+      drag.current = {
+        pointerId: event.pointerId,
+        plane: new THREE.Plane().setFromNormalAndCoplanarPoint(normal, event.point),
+        target: point,
+        velocity: new THREE.Vector3(),
+        time: performance.now(),
+      }
+
+      event.target.setPointerCapture(event.pointerId)
+      beginInteraction()
+      cloth.grab(index, point)
+    },
+
+    onPointerMove: (event) => {
+      const current = drag.current
+      if (!current || event.pointerId !== current.pointerId || !meshRef.current) return
+
+      const hit = event.ray.intersectPlane(current.plane, new THREE.Vector3())
+      if (!hit) return
+      const target = meshRef.current.worldToLocal(hit)
+
+      const now = performance.now()
+      const elapsed = (now - current.time) / 1000
+      if (elapsed > 0) {
+        const velocity = target.clone().sub(current.target).divideScalar(elapsed)
+        current.velocity.lerp(velocity, VELOCITY_SMOOTHING)
+      }
+      current.target = target
+      current.time = now
+
+      cloth.moveGrab(target)
+    },
+
+    onPointerUp: release,
+    onPointerCancel: release,
+  }
+}
@@ -0,0 +1,28 @@
+import { useEffect } from 'react'
+import { useLocation, useNavigate } from 'react-router-dom'
+import { replaceSettingsParams, saveSettings } from '../settings'
+import { setClothSettings, useClothState } from '../clothState'
+
+// The shared cloth settings, mirrored into the route's query string and saved
+// on every change, so the address bar is always a link to the current
+// configuration. Use it in one place, the controls.
+export default function useClothSettings() {
+  const location = useLocation()
+  const navigate = useNavigate()
+  const { settings } = useClothState()
+
+  const search = replaceSettingsParams(location.search, settings)
+
+  useEffect(() => {
+    saveSettings(settings)
+  }, [settings])
+
+  useEffect(() => {
+    if (location.search.replace(/^\?/, '') === search) return
+    navigate({ search }, { replace: true })
+  }, [location.search, navigate, search])
+
+  const shareUrl = `${window.location.origin}${location.pathname}${search ? `?${search}` : ''}`
+
+  return [settings, setClothSettings, shareUrl]
+}
@@ -0,0 +1,77 @@
+import { useEffect, useRef, useState } from 'react'
+import { useFrame } from '@react-three/fiber'
+import * as THREE from 'three'
+import { createCloth } from '../../cloth/solver'
+import { createClothWorker } from '../../cloth/workerClient'
+import { getPinLayout, resolvePinLayout } from '../../cloth/pinLayouts'
+import { useClothColliders } from '../colliders'
+
+// Renders a headless cloth from src/cloth into a mesh. The solver runs on its
+// own fixed timestep, so the frame delta only feeds its accumulator.
+// `options` are read once on mount (`worker: true` moves the solver into a Web
+// Worker), `liveOptions` are pushed to the solver on every render, and
+// `onBeforeStep(state, cloth)` runs each frame before stepping.
+// A `pinLayout` (with `pinSpacing`) among the live options re-pins the cloth
+// when either changes. The cloth collides with every <ClothCollider> in its
+// <ClothColliderScope>.
+export default function useClothSimulation(options, liveOptions, onBeforeStep) {
+  const meshRef = useRef()
+  const topologyVersion = useRef(0)
+  const colliders = useClothColliders()
+  const { pinLayout, pinSpacing = options.pinSpacing, ...solverOptions } = liveOptions
+  const appliedPins = useRef(`${pinLayout}:${pinSpacing}`)
+  const [cloth] = useState(() => {
+    const pin = pinLayout ? getPinLayout(pinLayout, pinSpacing) : options.pin
+    return options.worker ? createClothWorker({ ...options, pin }) : createCloth({ ...options, pin })
+  })
+  const [positions] = useState(() => cloth.getPositions().slice())
+
+  useEffect(() => {
+    cloth.setOptions(solverOptions)
+
+    const pins = `${pinLayout}:${pinSpacing}`
+    if (pinLayout && pins !== appliedPins.current) {
+      appliedPins.current = pins
+      cloth.setPins(resolvePinLayout(pinLayout, { ...options, pinSpacing }))
+    }
+  })
+
+  useEffect(() => () => cloth.dispose?.(), [cloth])
+
+  useFrame((state, deltaTime) => {
+    if (!meshRef.current) return
+
+    onBeforeStep?.(state, cloth)
+    cloth.setColliders(colliders.collect(meshRef.current))
+    cloth.advance(deltaTime)
+
+    const geometry = meshRef.current.geometry
+    geometry.attributes.position.array.set(cloth.getRenderPositions())
+    geometry.attributes.position.needsUpdate = true
+    // Bounds go stale as the cloth moves; three recomputes them on demand for
+    // culling and raycasting
+    geometry.boundingSphere = null
+    geometry.boundingBox = null
+
+    // Tearing rewires triangles to split-off vertices
+    if (cloth.getTopologyVersion() !== topologyVersion.current) {
+      topologyVersion.current = cloth.getTopologyVersion()
+      geometry.index.array.set(cloth.indices)
+      geometry.index.needsUpdate = true
+    }
+
+    // The worker streams normals along with positions
+    const normals = cloth.getRenderNormals?.()
+    if (normals) {
+      if (!geometry.attributes.normal) {
+        geometry.setAttribute('normal', new THREE.BufferAttribute(new Float32Array(normals.length), 3))
+      }
+      geometry.attributes.normal.array.set(normals)
+      geometry.attributes.normal.needsUpdate = true
+    } else {
+      geometry.computeVertexNormals()
+    }
+  })
+
+  return { cloth, meshRef, positions }
+}
@@ -0,0 +1,32 @@
+import { useRef } from 'react'
+import { useFrame } from '@react-three/fiber'
+import { blendFabrics } from '../../cloth/fabrics'
+
+// Eases from the current fabric to `target` over `duration` seconds whenever
+// the target changes, calling `apply(fabric)` on every frame of the blend (and
+// once at the start). Switching again mid-blend starts from wherever it is.
+export default function useFabricBlend(target, apply, duration = 0.8) {
+  const key = JSON.stringify(target)
+  const blend = useRef(null)
+
+  useFrame((state, deltaTime) => {
+    if (!blend.current) {
+      blend.current = { key, from: target, current: target, elapsed: duration }
+      apply(target)
+      return
+    }
+
+    const current = blend.current
+    if (current.key !== key) {
+      current.key = key
+      current.from = current.current
+      current.elapsed = 0
+    }
+    if (current.elapsed >= duration) return
+
+    current.elapsed = Math.min(duration, current.elapsed + deltaTime)
+    const t = current.elapsed / duration
+    current.current = blendFabrics(current.from, target, t * t * (3 - 2 * t))
+    apply(current.current)
+  })
+}
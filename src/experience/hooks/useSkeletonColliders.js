@@ -0,0 +1,53 @@
+import { useEffect } from 'react'
+import * as THREE from 'three'
+import { useClothColliders } from '../colliders'
+
+// Capsule radii by bone name, in bone space before any scaling. Names follow
+// Godot's humanoid skeleton profile; the first match wins.
+export const LIMB_RADII = [
+  [/Hips|Spine|Chest/, 0.13],
+  [/Head/, 0.1],
+  [/Neck/, 0.05],
+  [/UpperLeg|LowerLeg/, 0.07],
+  [/Shoulder|UpperArm|LowerArm/, 0.045],
+  [/Hand|Foot/, 0.04],
+]
+
+// Small or face bones that would only add colliders nothing drapes over
+const SKIPPED_BONES = /Thumb|Index|Middle|Ring|Little|Toes|Eye|Jaw|Root/
+
+// Registers a capsule from every bone of `root` to each child bone, so cloth
+// attached to the body collides with its limbs as they animate. `radii` and
+// `skip` override the defaults above.
+export default function useSkeletonColliders(root, {
+  enabled = true,
+  radii = LIMB_RADII,
+  skip = SKIPPED_BONES,
+  friction = 0.3,
+} = {}) {
+  const colliders = useClothColliders()
+
+  useEffect(() => {
+    if (!root || !enabled) return
+
+    const removers = []
+    root.traverse((bone) => {
+      if (!bone.isBone || skip.test(bone.name)) return
+      const radius = radii.find(([pattern]) => pattern.test(bone.name))?.[1]
+      if (radius === undefined) return
+
+      for (const child of bone.children) {
+        if (!child.isBone || child.position.lengthSq() === 0) continue
+        removers.push(colliders.add(bone, {
+          shape: 'capsule',
+          start: new THREE.Vector3(),
+          end: child.position.clone(),
+          radius,
+          friction,
+          restitution: 0,
+        }))
+      }
+    })
+    return () => removers.forEach((remove) => remove())
+  }, [colliders, root, enabled, radii, skip, friction])
+}
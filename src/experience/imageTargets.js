@@ -0,0 +1,7 @@
+// Image targets uploaded to the 8th Wall project, by name, with the labels
+// ClothControls shows for them
+export const IMAGE_TARGET_LABELS = {
+  poster: 'Poster',
+}
+
+export const IMAGE_TARGET_NAMES = Object.keys(IMAGE_TARGET_LABELS)
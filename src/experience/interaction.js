@@ -0,0 +1,23 @@
+// Tracks whether a scene object currently owns the pointer (e.g. the user is
+// dragging the cloth), so canvas-wide touch gestures can stand down meanwhile.
+let activeInteractions = 0
+const listeners = new Set()
+
+const setActiveInteractions = (count) => {
+  const wasInteracting = activeInteractions > 0
+  activeInteractions = count
+  if (wasInteracting !== activeInteractions > 0) listeners.forEach((listener) => listener(activeInteractions > 0))
+}
+
+export const beginInteraction = () => setActiveInteractions(activeInteractions + 1)
+
+export const endInteraction = () => setActiveInteractions(Math.max(0, activeInteractions - 1))
+
+export const isInteracting = () => activeInteractions > 0
+
+// Calls `listener(interacting)` right as an interaction starts or the last one
+// ends, within the pointer event that did it; returns the unsubscribe function
+export const subscribeInteraction = (listener) => {
+  listeners.add(listener)
+  return () => listeners.delete(listener)
+}
@@ -0,0 +1,168 @@
+import { CLOTH_TYPE_DEFAULTS, getClothTypeDefaults } from './clothTypes'
+import { PIN_LAYOUTS } from '../cloth/pinLayouts'
+import { getFabricPreset } from '../cloth/fabrics'
+import { IMAGE_TARGET_NAMES } from './imageTargets'
+
+// Cloth settings as they appear in shareable links and localStorage, e.g.
+// `?type=advanced&wind=2.1&color=ff0044&tear=1`. Besides the type, only values
+// that differ from the defaults are written, and every param is validated when
+// read back.
+
+const STORAGE_KEY = 'cloth-settings'
+
+export const DEFAULT_SETTINGS = {
+  windIntensity: 1.0,
+  showSphere: true,
+  color: "#4080ff",
+  clothType: "basic",
+  enableTearing: false,
+  useWorker: false,
+  pinLayout: "top-edge",
+  editPins: false,
+  fabric: "", // Fabric preset name; empty keeps the cloth type's own fabric
+  imageTarget: "", // Image target the cloth hangs from; empty places it in the world
+  tracking: "world", // "world" (back camera) or "face" (front camera, cloth worn as a veil)
+  ...CLOTH_TYPE_DEFAULTS.basic
+}
+
+export const getDefaultSettings = (clothType = DEFAULT_SETTINGS.clothType) => ({
+  ...DEFAULT_SETTINGS,
+  ...getClothTypeDefaults(clothType),
+  clothType
+})
+
+const number = (min, max) => ({
+  parse: (value) => {
+    const parsed = Number(value)
+    return value !== '' && parsed >= min && parsed <= max ? parsed : undefined
+  },
+  format: (value) => String(value)
+})
+
+const integer = (min, max) => ({
+  parse: (value) => (/^\d+$/.test(value) ? number(min, max).parse(value) : undefined),
+  format: (value) => String(value)
+})
+
+const boolean = {
+  parse: (value) => (value === '1' ? true : value === '0' ? false : undefined),
+  format: (value) => (value ? '1' : '0')
+}
+
+const oneOf = (values) => ({
+  parse: (value) => (values.includes(value) ? value : undefined),
+  format: (value) => value
+})
+
+// Checked when read, so presets registered at runtime are accepted
+const fabricName = {
+  parse: (value) => (getFabricPreset(value) ? value : undefined),
+  format: (value) => value
+}
+
+const hexColor = {
+  parse: (value) => (/^[0-9a-f]{6}$/i.test(value) ? `#${value.toLowerCase()}` : undefined),
+  format: (value) => value.replace('#', '')
+}
+
+// Query param -> settings path and value type. Ranges match ClothControls.
+// `editPins` is a transient mode and is deliberately not shared.
+const PARAMS = {
+  type: { path: ['clothType'], ...oneOf(Object.keys(CLOTH_TYPE_DEFAULTS)) },
+  wind: { path: ['windIntensity'], ...number(0, 3) },
+  sphere: { path: ['showSphere'], ...boolean },
+  color: { path: ['color'], ...hexColor },
+  tear: { path: ['enableTearing'], ...boolean },
+  worker: { path: ['useWorker'], ...boolean },
+  pins: { path: ['pinLayout'], ...oneOf(Object.keys(PIN_LAYOUTS)) },
+  fabric: { path: ['fabric'], ...fabricName },
+  target: { path: ['imageTarget'], ...oneOf(IMAGE_TARGET_NAMES) },
+  tracking: { path: ['tracking'], ...oneOf(['world', 'face']) },
+  stiffness: { path: ['stiffness'], ...number(0.05, 1) },
+  damping: { path: ['damping'], ...number(0.9, 1) },
+  gravity: { path: ['gravity'], ...number(-20, 0) },
+  windX: { path: ['windDirection', 'x'], ...number(-1, 1) },
+  windZ: { path: ['windDirection', 'z'], ...number(-1, 1) },
+  turbulence: { path: ['windTurbulence'], ...number(0, 3) },
+  width: { path: ['clothSize', 'width'], ...number(0.5, 4) },
+  height: { path: ['clothSize', 'height'], ...number(0.5, 4) },
+  res: { path: ['resolution'], ...integer(5, 100) },
+  pinSpacing: { path: ['pinSpacing'], ...integer(1, 10) }
+}
+
+const getPath = (settings, [key, nested]) => (nested ? settings[key][nested] : settings[key])
+
+const setPath = (settings, [key, nested], value) => {
+  settings[key] = nested ? { ...settings[key], [nested]: value } : value
+}
+
+// Settings from a query string. Physics defaults follow the cloth type, and
+// params that are missing, out of range or malformed fall back to them.
+// Unknown params are ignored so the URL can carry other state.
+export function parseSettings(search) {
+  const params = new URLSearchParams(search)
+  const type = PARAMS.type.parse(params.get('type') ?? '')
+  const settings = getDefaultSettings(type)
+
+  Object.entries(PARAMS).forEach(([name, param]) => {
+    if (!params.has(name)) return
+    const value = param.parse(params.get(name))
+    if (value === undefined) {
+      console.warn(`Ignoring invalid cloth setting ${name}=${params.get(name)}`)
+      return
+    }
+    setPath(settings, param.path, value)
+  })
+
+  return settings
+}
+
+// Query string (without `?`) holding the cloth type and the settings that
+// differ from its defaults. The type is always present, so even an all-default
+// link overrides whatever the recipient has saved.
+export function serializeSettings(settings) {
+  const defaults = getDefaultSettings(settings.clothType)
+  const params = new URLSearchParams()
+
+  Object.entries(PARAMS).forEach(([name, param]) => {
+    const value = getPath(settings, param.path)
+    if (name === 'type' || value !== getPath(defaults, param.path)) {
+      params.set(name, param.format(value))
+    }
+  })
+
+  return params.toString()
+}
+
+// `search` with its cloth settings params replaced by `settings`, keeping any
+// unrelated params
+export function replaceSettingsParams(search, settings) {
+  const params = new URLSearchParams(search)
+  Object.keys(PARAMS).forEach((name) => params.delete(name))
+  new URLSearchParams(serializeSettings(settings)).forEach((value, name) => params.set(name, value))
+  return params.toString()
+}
+
+export const hasSettingsParams = (search) =>
+  Object.keys(PARAMS).some((name) => new URLSearchParams(search).has(name))
+
+// A link carries its full configuration, so it wins over anything saved on
+// this device. Without one, the last saved settings are restored.
+export function loadSettings(search) {
+  if (hasSettingsParams(search)) return parseSettings(search)
+
+  try {
+    return parseSettings(localStorage.getItem(STORAGE_KEY) ?? '')
+  } catch {
+    // Storage can be unavailable, e.g. in private browsing
+    return getDefaultSettings()
+  }
+}
+
+export function saveSettings(settings) {
+  try {
+    localStorage.setItem(STORAGE_KEY, serializeSettings(settings))
+  } catch {
+    // Persisting is best effort
+  }
+}
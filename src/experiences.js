@@ -0,0 +1,29 @@
+import { lazy } from 'react'
+import { IMAGE_TARGET_NAMES } from './experience/imageTargets'
+import { useClothXR } from './experience/clothState'
+
+// Every AR demo in the app, listed on the index page and routed at `path`.
+// <ExperienceRoute> puts the parts together.
+//   title, description: shown on the index page
+//   thumbnail:          image URL for its card, from public/
+//   Scene:              what it shows in the shared XR canvas
+//   Controls:           its control panel, as DOM over the canvas
+//                       Both are lazily loaded, so each demo's code and assets
+//                       are split into their own chunk.
+//   xr:                 default XR config for <EightWallBridge> (`tracking`,
+//                       `imageTargets`), which covers the time its code is
+//                       still loading
+//   useXR:              optional hook returning the XR config it wants at
+//                       runtime, over `xr`
+export const EXPERIENCES = [
+  {
+    path: '/one',
+    title: 'Cloth',
+    description: 'Drop, drag, pin and tear cloth on the floor, hang it from a poster, or wear it as a veil.',
+    thumbnail: '/thumbnails/cloth.svg',
+    Scene: lazy(() => import('./experience/Scene')),
+    Controls: lazy(() => import('./experience/Controls')),
+    xr: { tracking: 'world', imageTargets: IMAGE_TARGET_NAMES },
+    useXR: useClothXR,
+  },
+]
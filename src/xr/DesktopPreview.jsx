@@ -0,0 +1,48 @@
+import React, { useEffect, useRef } from 'react'
+import { useThree } from '@react-three/fiber'
+import { OrbitControls } from '@react-three/drei'
+import { placeAt, resetPlacement } from './placement'
+import { startPreviewSession } from './session'
+import { isInteracting, subscribeInteraction } from '../experience/interaction'
+
+// Renders the scene without 8th Wall, into R3F's own scene and camera: a
+// neutral backdrop, a visible floor under the shadow-catching ground, and
+// orbit controls. For working on the cloth on a laptop.
+export default function DesktopPreview({ children }) {
+  const camera = useThree((state) => state.camera)
+  const controlsRef = useRef()
+
+  // Reported as a running session, so status consumers don't wait on a
+  // camera that never comes
+  useEffect(() => startPreviewSession(), [])
+
+  useEffect(() => {
+    camera.position.set(0, 3, 6)
+    // There is no surface to tap on, so the scene starts on the floor here
+    placeAt([0, 0, 0], 0)
+    return resetPlacement
+  }, [camera])
+
+  // Dragging the cloth shouldn't also orbit the camera. The controls are
+  // switched off from the cloth's own pointerdown, which R3F handles before
+  // they see the event, so not even the first move of a grab orbits.
+  useEffect(() => {
+    const setEnabled = (interacting) => {
+      if (controlsRef.current) controlsRef.current.enabled = !interacting
+    }
+    setEnabled(isInteracting())
+    return subscribeInteraction(setEnabled)
+  }, [])
+
+  return (
+    <>
+      <color attach="background" args={['#d9dce1']} />
+      <mesh rotation-x={-Math.PI / 2} position-y={-0.001} receiveShadow>
+        <circleGeometry args={[20, 64]} />
+        <meshStandardMaterial color="#b8bcc4" roughness={1} />
+      </mesh>
+      <OrbitControls ref={controlsRef} target={[0, 1, 0]} maxPolarAngle={Math.PI / 2 - 0.05} makeDefault />
+      {children}
+    </>
+  )
+}
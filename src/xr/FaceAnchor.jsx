@@ -0,0 +1,53 @@
+import React, { createContext, useContext, useImperativeHandle, useRef } from 'react'
+import { useFrame } from '@react-three/fiber'
+import { getFace } from './faces'
+
+const FaceContext = createContext(0)
+
+// Children follow the pose and scale of tracked face `faceId`, in face space:
+// origin at the center of the face, +Y up, +Z out of the face, and the head
+// about one unit wide. Hidden until the face is found and while it is lost.
+// `ref` gets the outer group, e.g. as the root BoneCloth looks attachment
+// points up under.
+export default function FaceAnchor({ ref, faceId = 0, children, ...props }) {
+  const anchorRef = useRef()
+  useImperativeHandle(ref, () => anchorRef.current, [])
+
+  useFrame(() => {
+    const anchor = anchorRef.current
+    const face = getFace(faceId)
+    if (!anchor) return
+    anchor.visible = !!face?.tracking
+    if (!anchor.visible) return
+
+    anchor.position.copy(face.position)
+    anchor.quaternion.copy(face.rotation)
+    anchor.scale.setScalar(face.scale)
+  })
+
+  return (
+    <FaceContext value={faceId}>
+      <group ref={anchorRef} visible={false}>
+        <group {...props}>{children}</group>
+      </group>
+    </FaceContext>
+  )
+}
+
+// Group at attachment point `point` (e.g. 'forehead', 'leftEar', 'chin') of
+// the enclosing <FaceAnchor>'s face, named after the point
+export function FaceAttachment({ point, children, ...props }) {
+  const faceId = useContext(FaceContext)
+  const groupRef = useRef()
+
+  useFrame(() => {
+    const position = getFace(faceId)?.attachmentPoints[point]
+    if (position && groupRef.current) groupRef.current.position.copy(position)
+  })
+
+  return (
+    <group ref={groupRef} name={point}>
+      <group {...props}>{children}</group>
+    </group>
+  )
+}
@@ -0,0 +1,70 @@
+import React, { useRef } from 'react'
+import { useFrame } from '@react-three/fiber'
+import { getImageTarget } from './imageTargets'
+
+// Multiplies the opacity of every material under `object` by `alpha`,
+// remembering the original values so they can be restored
+function setOpacity(object, alpha) {
+  object.traverse((child) => {
+    if (!child.material) return
+    const materials = Array.isArray(child.material) ? child.material : [child.material]
+    for (const material of materials) {
+      const base = material.userData.anchorBase ??= {
+        opacity: material.opacity,
+        transparent: material.transparent,
+      }
+      material.opacity = base.opacity * alpha
+      const transparent = base.transparent || alpha < 1
+      if (material.transparent !== transparent) {
+        material.transparent = transparent
+        material.needsUpdate = true
+      }
+    }
+  })
+}
+
+// Children follow the pose and scale of the image target `name`, whose image
+// lies in the anchor's XY plane with a height of one unit. Hidden until the
+// image is first found. When tracking is lost, `lost` decides what happens:
+//   freeze: stay where the image was last seen
+//   hide:   disappear until found again
+//   fade:   fade out over `fadeDuration` seconds
+// Other props apply to an inner group, to offset the content from the image.
+export default function ImageTargetAnchor({ name, lost = 'fade', fadeDuration = 0.5, children, ...props }) {
+  const anchorRef = useRef()
+  const opacity = useRef(1)
+
+  useFrame((state, deltaTime) => {
+    const anchor = anchorRef.current
+    const target = getImageTarget(name)
+    if (!anchor) return
+    if (!target?.position) {
+      anchor.visible = false
+      return
+    }
+
+    let alpha = 1
+    if (target.tracking || lost === 'freeze') {
+      anchor.position.copy(target.position)
+      anchor.quaternion.copy(target.rotation)
+      anchor.scale.setScalar(target.scale)
+      anchor.visible = true
+    } else if (lost === 'fade') {
+      alpha = Math.max(0, opacity.current - deltaTime / fadeDuration)
+      anchor.visible = alpha > 0
+    } else {
+      anchor.visible = false
+    }
+
+    if (alpha !== opacity.current) {
+      opacity.current = alpha
+      setOpacity(anchor, alpha)
+    }
+  })
+
+  return (
+    <group ref={anchorRef} visible={false}>
+      <group {...props}>{children}</group>
+    </group>
+  )
+}
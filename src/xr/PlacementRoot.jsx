@@ -0,0 +1,91 @@
+import React, { useEffect, useRef, useState } from 'react'
+import { useFrame, useThree } from '@react-three/fiber'
+import * as THREE from 'three'
+import { placeAt, usePlacement } from './placement'
+import { isInteracting } from '../experience/interaction'
+
+// Surfaces the reticle can land on, most reliable first
+const HIT_TEST_TYPES = ['DETECTED_SURFACE', 'ESTIMATED_SURFACE', 'FEATURE_POINT']
+// Pointer travel (px) beyond which a press is a drag rather than a tap
+const TAP_SLOP = 10
+
+// Writes the surface point under the screen center into `out`. Uses 8th Wall's
+// hit test when tracking, and the y = 0 plane otherwise.
+function hitTestCenter(camera, raycaster, out) {
+  const hitTest = window.XR8?.XrController?.hitTest
+  if (hitTest) {
+    const [hit] = hitTest(0.5, 0.5, HIT_TEST_TYPES) || []
+    if (!hit) return false
+    out.set(hit.position.x, hit.position.y, hit.position.z)
+    return true
+  }
+
+  raycaster.setFromCamera({ x: 0, y: 0 }, camera)
+  return raycaster.ray.intersectPlane(new THREE.Plane(new THREE.Vector3(0, 1, 0), 0), out) !== null
+}
+
+// Scene root placed by tapping on a detected surface. While placing, a
+// reticle tracks the surface under the screen center and the content is
+// hidden; a tap drops the root at the reticle, turned to face the user.
+export default function PlacementRoot({ children }) {
+  const { placing, position, yaw } = usePlacement()
+  const camera = useThree((state) => state.camera)
+  const gl = useThree((state) => state.gl)
+  const reticleRef = useRef()
+  const [hit] = useState(() => ({
+    valid: false,
+    point: new THREE.Vector3(),
+    raycaster: new THREE.Raycaster(),
+  }))
+
+  useFrame(() => {
+    if (!placing) return
+    hit.valid = hitTestCenter(camera, hit.raycaster, hit.point)
+    if (reticleRef.current) {
+      reticleRef.current.visible = hit.valid
+      reticleRef.current.position.copy(hit.point)
+    }
+  })
+
+  useEffect(() => {
+    if (!placing) return
+
+    const canvas = gl.domElement
+    let press = null
+    const handlePointerDown = (event) => {
+      // Presses that grab or pin the cloth aren't placement taps
+      press = isInteracting() ? null : { x: event.clientX, y: event.clientY }
+    }
+    const handlePointerUp = (event) => {
+      if (!press || !hit.valid) return
+      const moved = Math.hypot(event.clientX - press.x, event.clientY - press.y)
+      press = null
+      if (moved > TAP_SLOP) return
+
+      // Face the content's +Z toward the camera
+      const facing = Math.atan2(camera.position.x - hit.point.x, camera.position.z - hit.point.z)
+      placeAt(hit.point.toArray(), facing)
+    }
+
+    canvas.addEventListener('pointerdown', handlePointerDown)
+    canvas.addEventListener('pointerup', handlePointerUp)
+    return () => {
+      canvas.removeEventListener('pointerdown', handlePointerDown)
+      canvas.removeEventListener('pointerup', handlePointerUp)
+    }
+  }, [placing, gl, camera, hit])
+
+  return (
+    <>
+      {placing && (
+        <mesh ref={reticleRef} rotation-x={-Math.PI / 2} visible={false}>
+          <ringGeometry args={[0.15, 0.2, 32]} />
+          <meshBasicMaterial color="white" transparent opacity={0.8} depthWrite={false} />
+        </mesh>
+      )}
+      <group position={position} rotation-y={yaw} visible={!placing}>
+        {children}
+      </group>
+    </>
+  )
+}
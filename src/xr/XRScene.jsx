@@ -0,0 +1,19 @@
+import { useLayoutEffect } from 'react'
+import { setXRSceneSlot } from './sceneSlot'
+
+// Shows `children` in the shared XR canvas for as long as this is mounted, so
+// <ExperienceRoute> can render an experience's scene next to its DOM
+// controls. `tracking` and `imageTargets` override the experience's
+// registered XR config, e.g. when its settings switch to face tracking.
+export default function XRScene({ children, tracking, imageTargets }) {
+  useLayoutEffect(() => {
+    const xr = {}
+    if (tracking) xr.tracking = tracking
+    if (imageTargets) xr.imageTargets = imageTargets
+    setXRSceneSlot({ children, xr })
+  }, [children, tracking, imageTargets])
+
+  useLayoutEffect(() => () => setXRSceneSlot({ children: null, xr: {} }), [])
+
+  return null
+}
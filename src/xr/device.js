@@ -0,0 +1,19 @@
+// Rough browser and device detection from the user agent, for picking error
+// guidance and deciding whether AR is worth attempting at all
+export function getDeviceInfo(userAgent = navigator.userAgent) {
+  const ios = /iPhone|iPad|iPod/.test(userAgent) ||
+    (/Macintosh/.test(userAgent) && navigator.maxTouchPoints > 1)
+  const android = /Android/.test(userAgent)
+  // Web views inside social and messaging apps, which often lack camera access
+  const inApp = /FBAN|FBAV|Instagram|Line\/|Snapchat|Twitter|TikTok|MicroMessenger/.test(userAgent)
+  const otherIosBrowser = ios && /CriOS|FxiOS|EdgiOS|OPiOS/.test(userAgent)
+
+  return {
+    ios,
+    android,
+    mobile: ios || android,
+    inApp,
+    // Safari proper, the one browser on iOS 8th Wall fully supports
+    safari: ios && !inApp && !otherIosBrowser && /Safari/.test(userAgent),
+  }
+}
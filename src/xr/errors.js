@@ -0,0 +1,77 @@
+import { useSyncExternalStore } from 'react'
+
+// What stopped AR, as one of
+//   permission:  camera access denied
+//   camera-busy: another app or tab holds the camera
+//   no-camera:   no camera to run on
+//   unsupported: browser or device 8th Wall can't run on
+//   script-load: the 8th Wall script didn't load
+//   missing-key: the build has no 8th Wall app key to load it with
+//   webgl-lost:  the WebGL context was lost
+//   runtime:     anything thrown from the camera pipeline
+// Stored as { kind, error } for <XRErrorOverlay>; the first error of a
+// session wins, since later ones are usually fallout from it.
+let current = null
+const listeners = new Set()
+
+const notify = () => listeners.forEach((listener) => listener())
+
+export function classifyXRError(error) {
+  const name = error?.name
+  const message = error?.message ?? ''
+  if (name === 'MissingAppKeyError') return 'missing-key'
+  if (name === 'ScriptLoadError') return 'script-load'
+  if (name === 'NotAllowedError' || name === 'SecurityError' || /permission/i.test(message)) {
+    return 'permission'
+  }
+  if (name === 'NotSupportedError' || name === 'NotFoundError' || name === 'OverconstrainedError' ||
+    /not supported|incompatible/i.test(message)) {
+    return 'unsupported'
+  }
+  if (/context lost|CONTEXT_LOST/i.test(message)) return 'webgl-lost'
+  return 'runtime'
+}
+
+// Kind of a camera that failed to start, from the reason 8th Wall gives:
+// usually the name of the getUserMedia error
+export function classifyCameraFailure(reason = '') {
+  if (/NotAllowed|PermissionDenied|Security|permission|denied/i.test(reason)) return 'permission'
+  if (/NotReadable|TrackStart|Abort|busy|in use/i.test(reason)) return 'camera-busy'
+  if (/NotFound|DevicesNotFound|Overconstrained|no.?camera/i.test(reason)) return 'no-camera'
+  return 'runtime'
+}
+
+// Records `error`, classified unless `kind` is given
+export function reportXRError(error, kind = classifyXRError(error)) {
+  if (current) return
+  console.error(`AR failed (${kind}):`, error)
+  current = { kind, error }
+  notify()
+}
+
+export function clearXRError() {
+  if (!current) return
+  current = null
+  notify()
+}
+
+export const getXRError = () => current
+
+const subscribe = (listener) => {
+  listeners.add(listener)
+  return () => listeners.delete(listener)
+}
+
+export const useXRError = () => useSyncExternalStore(subscribe, getXRError)
+
+// Camera pipeline module reporting camera and pipeline failures
+export function xrErrorPipelineModule() {
+  return {
+    name: 'xrerrors',
+    onCameraStatusChange: ({ status, reason }) => {
+      if (status !== 'failed') return
+      reportXRError(new Error(`Camera failed${reason ? `: ${reason}` : ''}`), classifyCameraFailure(reason))
+    },
+    onException: (error) => reportXRError(error),
+  }
+}
@@ -0,0 +1,42 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import { createFakeXR8 } from './fakeXR8.js'
+import { classifyCameraFailure, clearXRError, getXRError, xrErrorPipelineModule } from './errors.js'
+
+describe('classifyCameraFailure', () => {
+  it('keeps permission for a denied camera', () => {
+    expect(classifyCameraFailure('NotAllowedError')).toBe('permission')
+    expect(classifyCameraFailure('PermissionDeniedError')).toBe('permission')
+  })
+
+  it('tells a busy camera from a missing one', () => {
+    expect(classifyCameraFailure('NotReadableError')).toBe('camera-busy')
+    expect(classifyCameraFailure('TrackStartError')).toBe('camera-busy')
+    expect(classifyCameraFailure('NotFoundError')).toBe('no-camera')
+    expect(classifyCameraFailure('OverconstrainedError')).toBe('no-camera')
+  })
+
+  it('leaves unknown reasons to the generic message', () => {
+    expect(classifyCameraFailure('')).toBe('runtime')
+    expect(classifyCameraFailure(undefined)).toBe('runtime')
+  })
+})
+
+describe('xrErrorPipelineModule', () => {
+  beforeEach(() => {
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+  })
+
+  afterEach(() => {
+    clearXRError()
+    vi.restoreAllMocks()
+  })
+
+  it('reports a camera failure by its reason', () => {
+    const fake = createFakeXR8({ frameInterval: 0, cameraStatus: 'NotReadableError' })
+    fake.XR8.addCameraPipelineModule(xrErrorPipelineModule())
+    fake.XR8.run({ canvas: { width: 1, height: 1 } })
+
+    expect(getXRError()).toMatchObject({ kind: 'camera-busy', error: { message: 'Camera failed: NotReadableError' } })
+    fake.XR8.stop()
+  })
+})
@@ -0,0 +1,57 @@
+// Latest pose of each face 8th Wall's FaceController tracks, by face id (0 for
+// the first face). Filled from the XR pipeline by facePipelineModule and read
+// every frame by <FaceAnchor> and <FaceAttachment>, like image targets.
+const faces = new Map()
+
+// Points on the face that content can be attached to, in face space
+export const FACE_ATTACHMENT_POINTS = [
+  'forehead',
+  'leftEar',
+  'rightEar',
+  'chin',
+  'noseBridge',
+  'noseTip',
+  'leftEye',
+  'rightEye',
+  'leftCheek',
+  'rightCheek',
+  'mouth',
+]
+
+const updateFace = (detail, tracking) => {
+  const face = faces.get(detail.id) || { id: detail.id, attachmentPoints: {} }
+  face.tracking = tracking
+  if (detail.transform) {
+    face.position = { ...detail.transform.position }
+    face.rotation = { ...detail.transform.rotation }
+    face.scale = detail.transform.scale
+  }
+  for (const [name, point] of Object.entries(detail.attachmentPoints ?? {})) {
+    face.attachmentPoints[name] = { ...point.position }
+  }
+  faces.set(detail.id, face)
+}
+
+// { id, tracking, position, rotation, scale, attachmentPoints } of a face seen
+// this session, or undefined. Attachment points are positions in face space.
+export const getFace = (id = 0) => faces.get(id)
+
+// FaceController.configure options for the front camera: a mirrored display,
+// like a mirror, and no mesh since only anchors and points are used
+export const FACE_CONTROLLER_CONFIG = {
+  meshGeometry: [],
+  coordinates: { mirroredDisplay: true },
+}
+
+// Camera pipeline module forwarding facefound/faceupdated/facelost
+export function facePipelineModule() {
+  return {
+    name: 'faces',
+    listeners: [
+      { event: 'facecontroller.facefound', process: ({ detail }) => updateFace(detail, true) },
+      { event: 'facecontroller.faceupdated', process: ({ detail }) => updateFace(detail, true) },
+      { event: 'facecontroller.facelost', process: ({ detail }) => updateFace(detail, false) },
+    ],
+    onDetach: () => faces.clear(),
+  }
+}
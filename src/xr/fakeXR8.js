@@ -0,0 +1,315 @@
+import * as THREE from 'three'
+
+// Offline stand-in for 8th Wall's `window.XR8` and `window.XRExtras`, covering
+// the parts <EightWallBridge> uses. It runs camera pipeline modules through the
+// same lifecycle as the real engine (onBeforeRun, onAttach,
+// onCameraStatusChange, onStart, then onUpdate / onRender per frame,
+// onPaused / onResume, onDetach on stop), on a timer or one `step()` at a
+// time, and records every call so init order and cleanup can be checked
+// without a camera or network.
+//
+// Options:
+//   frameInterval  ms between frames while running; 0 only steps manually
+//   cameraStatus   'hasVideo', or the reason the camera fails with, e.g.
+//                  'NotAllowedError' for a denied one or 'NotReadableError'
+//                  for one that's busy
+//   createRenderer (canvas) => renderer, for environments without WebGL
+//   hitTest        (x, y, types, camera) => results, replacing the default
+//                  ray against the y = 0 plane
+export function createFakeXR8({
+  frameInterval = 1000 / 60,
+  cameraStatus = 'hasVideo',
+  createRenderer = (canvas) => new THREE.WebGLRenderer({ canvas, antialias: true, alpha: true }),
+  hitTest,
+} = {}) {
+  const modules = []
+  const calls = []
+  let session = null
+  let xrScene = null
+  let config = {}
+  let tracking = { status: 'NORMAL', reason: 'UNDEFINED' }
+
+  const record = (name, detail) => calls.push(detail === undefined ? { name } : { name, detail })
+
+  // Calls `hook` on every module that has it. A throwing module reports to
+  // every module's onException, like 8th Wall does, and the frame continues.
+  const invoke = (hook, args) => {
+    for (const module of [...modules]) {
+      if (!module[hook]) continue
+      try {
+        module[hook](args)
+      } catch (error) {
+        reportException(error)
+      }
+    }
+  }
+
+  const reportException = (error) => {
+    record('exception', error)
+    for (const module of modules) module.onException?.(error)
+  }
+
+  const startArgs = (canvas) => ({
+    canvas,
+    GLctx: xrScene?.renderer?.getContext?.() ?? null,
+    isWebgl2: true,
+    orientation: 0,
+    videoWidth: canvas?.width ?? 0,
+    videoHeight: canvas?.height ?? 0,
+    canvasWidth: canvas?.width ?? 0,
+    canvasHeight: canvas?.height ?? 0,
+    config,
+  })
+
+  // Camera data in the shape XrController reports it, from the fake's camera
+  const reality = () => {
+    const camera = xrScene?.camera
+    return {
+      position: camera ? { x: camera.position.x, y: camera.position.y, z: camera.position.z } : null,
+      rotation: camera
+        ? { x: camera.quaternion.x, y: camera.quaternion.y, z: camera.quaternion.z, w: camera.quaternion.w }
+        : null,
+      intrinsics: camera ? camera.projectionMatrix.toArray() : null,
+      trackingStatus: tracking.status,
+      trackingReason: tracking.reason,
+    }
+  }
+
+  const step = () => {
+    if (!session?.started || session.paused) return
+    session.frame++
+    invoke('onUpdate', {
+      frameStartResult: { repeatFrame: false, videoTime: session.frame * frameInterval },
+      processCpuResult: { reality: reality() },
+    })
+    invoke('onRender', {})
+  }
+
+  const attach = (module) => {
+    if (!session) return
+    module.onAttach?.(startArgs(session.canvas))
+    if (session.started) module.onStart?.(startArgs(session.canvas))
+  }
+
+  const XR8 = {
+    addCameraPipelineModule: (module) => {
+      record('addCameraPipelineModule', module.name)
+      modules.push(module)
+      attach(module)
+    },
+
+    addCameraPipelineModules: (list) => list.forEach(XR8.addCameraPipelineModule),
+
+    removeCameraPipelineModule: (name) => {
+      record('removeCameraPipelineModule', name)
+      const index = modules.findIndex((module) => module.name === name)
+      if (index === -1) return
+      const [module] = modules.splice(index, 1)
+      if (session) module.onDetach?.({})
+      module.onRemove?.({})
+    },
+
+    clearCameraPipelineModules: () => {
+      record('clearCameraPipelineModules')
+      for (const module of modules.splice(0)) {
+        if (session) module.onDetach?.({})
+        module.onRemove?.({})
+      }
+    },
+
+    // Returns right away, like the real one. Promises returned from
+    // onBeforeRun hold the rest of the start back until they settle.
+    run: ({ canvas, ...runConfig } = {}) => {
+      record('run', runConfig)
+      if (session) throw new Error('XR8.run called while already running')
+      const current = { canvas, frame: 0, started: false, paused: false, timer: null }
+      session = current
+
+      const start = () => {
+        // Stopped while onBeforeRun was pending
+        if (session !== current) return
+        invoke('onAttach', startArgs(canvas))
+        invoke('onCameraStatusChange', { status: 'requesting' })
+
+        if (cameraStatus !== 'hasVideo') {
+          invoke('onCameraStatusChange', { status: 'failed', reason: cameraStatus })
+          return
+        }
+        invoke('onCameraStatusChange', { status: 'hasStream' })
+        invoke('onCameraStatusChange', { status: 'hasVideo' })
+
+        current.started = true
+        invoke('onStart', startArgs(canvas))
+        if (frameInterval > 0) current.timer = setInterval(step, frameInterval)
+      }
+
+      const pending = []
+      for (const module of [...modules]) {
+        try {
+          const result = module.onBeforeRun?.({ config: runConfig })
+          if (typeof result?.then === 'function') pending.push(result)
+        } catch (error) {
+          reportException(error)
+        }
+      }
+      if (pending.length) Promise.all(pending).then(start, reportException)
+      else start()
+    },
+
+    stop: () => {
+      record('stop')
+      if (!session) return
+      clearInterval(session.timer)
+      session = null
+      invoke('onDetach', {})
+      xrScene = null
+    },
+
+    pause: () => {
+      record('pause')
+      if (!session?.started || session.paused) return
+      session.paused = true
+      clearInterval(session.timer)
+      invoke('onPaused', {})
+    },
+
+    resume: () => {
+      record('resume')
+      if (!session?.paused) return
+      session.paused = false
+      if (frameInterval > 0) session.timer = setInterval(step, frameInterval)
+      invoke('onResume', {})
+    },
+
+    isPaused: () => !!session?.paused,
+
+    XrConfig: {
+      device: () => ({ ANY: 'any', MOBILE: 'mobile', MOBILE_AND_HEADSETS: 'mobile-and-headsets' }),
+      camera: () => ({ FRONT: 'front', BACK: 'back' }),
+    },
+
+    GlTextureRenderer: {
+      pipelineModule: () => ({ name: 'gltexturerenderer' }),
+    },
+
+    Threejs: {
+      pipelineModule: () => ({
+        name: 'threejsrenderer',
+        onStart: ({ canvas }) => {
+          const renderer = createRenderer(canvas)
+          const scene = new THREE.Scene()
+          const camera = new THREE.PerspectiveCamera(60, 1, 0.01, 1000)
+          scene.add(camera)
+          xrScene = { scene, camera, renderer }
+        },
+        onRender: () => xrScene?.renderer.render?.(xrScene.scene, xrScene.camera),
+        onDetach: () => {
+          xrScene = null
+        },
+      }),
+      xrScene: () => xrScene,
+    },
+
+    FaceController: {
+      pipelineModule: () => ({ name: 'facecontroller' }),
+      configure: (next) => record('FaceController.configure', next),
+    },
+
+    XrController: {
+      pipelineModule: () => ({ name: 'reality' }),
+
+      configure: (next) => {
+        record('XrController.configure', next)
+        config = { ...config, ...next }
+      },
+
+      recenter: () => {
+        record('XrController.recenter')
+        xrScene?.camera.position.set(0, xrScene.camera.position.y, 0)
+      },
+
+      updateCameraProjectionMatrix: ({ origin, facing } = {}) => {
+        record('XrController.updateCameraProjectionMatrix', { origin, facing })
+        if (!xrScene) return
+        if (origin) xrScene.camera.position.set(origin.x, origin.y, origin.z)
+        if (facing) xrScene.camera.quaternion.set(facing.x, facing.y, facing.z, facing.w)
+      },
+
+      // Screen point (x, y) in 0..1 from the top left, as in 8th Wall
+      hitTest: (x, y, types = []) => {
+        if (!xrScene) return []
+        const { camera } = xrScene
+        if (hitTest) return hitTest(x, y, types, camera)
+
+        const raycaster = new THREE.Raycaster()
+        raycaster.setFromCamera({ x: x * 2 - 1, y: 1 - y * 2 }, camera)
+        const point = raycaster.ray.intersectPlane(new THREE.Plane(new THREE.Vector3(0, 1, 0), 0), new THREE.Vector3())
+        if (!point) return []
+        return [{
+          type: types[0] ?? 'DETECTED_SURFACE',
+          position: { x: point.x, y: point.y, z: point.z },
+          rotation: { x: 0, y: 0, z: 0, w: 1 },
+          distance: point.distanceTo(camera.position),
+        }]
+      },
+    },
+  }
+
+  const XRExtras = {
+    FullWindowCanvas: { pipelineModule: () => ({ name: 'fullwindowcanvas' }) },
+    Loading: { pipelineModule: () => ({ name: 'loading' }) },
+    RuntimeError: {
+      pipelineModule: () => ({
+        name: 'error',
+        onException: (error) => console.error('[fake XR8] runtime error', error),
+      }),
+    },
+  }
+
+  const fake = {
+    XR8,
+    XRExtras,
+    // Every engine call so far, as { name, detail? }
+    calls,
+    modules,
+    isRunning: () => !!session?.started,
+    // Runs one frame now
+    step,
+    // Delivers a pipeline event, e.g. ('reality.imagefound', { name, position,
+    // rotation, scale }) or ('facecontroller.faceupdated', { id, transform,
+    // attachmentPoints }), to the modules listening for it
+    dispatchEvent: (name, detail) => {
+      record('event', { name, detail })
+      for (const module of [...modules]) {
+        for (const listener of module.listeners ?? []) {
+          if (listener.event === name) listener.process({ name, detail })
+        }
+      }
+    },
+    // Changes the world tracking quality, e.g. ('LIMITED', 'TOO_MUCH_MOTION')
+    setTracking: (status, reason = 'UNDEFINED') => {
+      tracking = { status, reason }
+      fake.dispatchEvent('reality.trackingstatus', { status, reason })
+    },
+    // Simulates an engine failure mid-session
+    fail: (error = new Error('Fake XR8 runtime error')) => reportException(error),
+  }
+  return fake
+}
+
+// Puts a fake on `window` as XR8 and XRExtras and fires 'xrloaded', like the
+// real script finishing. Returns the fake, with `uninstall()` to stop it and
+// take it off again.
+export function installFakeXR8(options) {
+  const fake = createFakeXR8(options)
+  window.XR8 = fake.XR8
+  window.XRExtras = fake.XRExtras
+  window.dispatchEvent(new Event('xrloaded'))
+
+  fake.uninstall = () => {
+    fake.XR8.stop()
+    if (window.XR8 === fake.XR8) delete window.XR8
+    if (window.XRExtras === fake.XRExtras) delete window.XRExtras
+  }
+  return fake
+}
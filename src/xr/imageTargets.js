@@ -0,0 +1,32 @@
+// Latest pose of each 8th Wall image target, by name. Filled from the XR
+// pipeline by imageTargetPipelineModule and read every frame by
+// <ImageTargetAnchor>, so updates never go through React state.
+const targets = new Map()
+
+const updateTarget = (detail, tracking) => {
+  const target = targets.get(detail.name) || { name: detail.name }
+  target.tracking = tracking
+  // A lost event carries the last known pose; keep it for frozen anchors
+  if (detail.position) target.position = { ...detail.position }
+  if (detail.rotation) target.rotation = { ...detail.rotation }
+  if (detail.scale !== undefined) target.scale = detail.scale
+  targets.set(detail.name, target)
+}
+
+// { name, tracking, position, rotation, scale } of a target seen this
+// session, or undefined
+export const getImageTarget = (name) => targets.get(name)
+
+// Camera pipeline module forwarding imagefound/imageupdated/imagelost
+export function imageTargetPipelineModule() {
+  return {
+    name: 'imagetargets',
+    listeners: [
+      { event: 'reality.imagefound', process: ({ detail }) => updateTarget(detail, true) },
+      { event: 'reality.imageupdated', process: ({ detail }) => updateTarget(detail, true) },
+      { event: 'reality.imagelost', process: ({ detail }) => updateTarget(detail, false) },
+    ],
+    // Poses from a previous session mean nothing in the next one
+    onDetach: () => targets.clear(),
+  }
+}
@@ -0,0 +1,121 @@
+import { useSyncExternalStore } from 'react'
+
+const XREXTRAS_URL = 'https://cdn.8thwall.com/web/xrextras/xrextras.js'
+const XRWEB_URL = 'https://apps.8thwall.com/xrweb'
+
+// How long to wait for both scripts and the engine before giving up (ms)
+export const XR_LOAD_TIMEOUT = 15000
+
+// Loading steps, in the order they finish
+const STAGES = ['xrextras', 'xrweb', 'engine']
+
+// { stage, loaded, total }: the last step done (null before the first) and
+// how many of the steps are
+let progress = { stage: null, loaded: 0, total: STAGES.length }
+const listeners = new Set()
+let loading = null
+
+const setProgress = (stage) => {
+  progress = { stage, loaded: STAGES.indexOf(stage) + 1, total: STAGES.length }
+  listeners.forEach((listener) => listener())
+}
+
+const loadError = (message) => {
+  const error = new Error(message)
+  error.name = 'ScriptLoadError'
+  return error
+}
+
+function injectScript(src) {
+  return new Promise((resolve, reject) => {
+    // A retry after a timeout waits on the script still in flight
+    const script = document.querySelector(`script[src="${src}"]`) ?? document.createElement('script')
+    if (script.dataset.loaded) {
+      resolve()
+      return
+    }
+    script.addEventListener('load', () => {
+      script.dataset.loaded = 'true'
+      resolve()
+    })
+    script.addEventListener('error', () => {
+      script.remove()
+      reject(loadError(`Failed to load ${src}`))
+    })
+    if (!script.isConnected) {
+      script.src = src
+      script.async = true
+      document.head.appendChild(script)
+    }
+  })
+}
+
+// XR8 is usable once it fires xrloaded, which may be before or after its
+// script's load event
+const engineReady = () => new Promise((resolve) => {
+  if (window.XR8) {
+    resolve()
+    return
+  }
+  window.addEventListener('xrloaded', () => resolve(), { once: true })
+})
+
+async function load(appKey) {
+  // Dev only: ?xr8=fake runs the AR path on an offline stand-in
+  if (import.meta.env.DEV && new URLSearchParams(window.location.search).get('xr8') === 'fake') {
+    const { installFakeXR8 } = await import('./fakeXR8')
+    installFakeXR8()
+    STAGES.forEach(setProgress)
+    return window.XR8
+  }
+
+  if (!window.XR8) {
+    if (!appKey) {
+      const error = new Error('No 8th Wall app key; set VITE_8THWALL_APP_KEY')
+      error.name = 'MissingAppKeyError'
+      throw error
+    }
+
+    const ready = engineReady()
+    await Promise.all([
+      window.XRExtras ? null : injectScript(XREXTRAS_URL).then(() => setProgress('xrextras')),
+      injectScript(`${XRWEB_URL}?appKey=${encodeURIComponent(appKey)}`).then(() => setProgress('xrweb')),
+    ])
+    await ready
+  }
+
+  STAGES.forEach(setProgress)
+  return window.XR8
+}
+
+// Injects the XRExtras and 8th Wall engine scripts, resolving with XR8 once
+// it is ready. The app key comes from VITE_8THWALL_APP_KEY unless given, so
+// each environment can use its own. Rejects with a MissingAppKeyError when no
+// key is set, and a ScriptLoadError when a script fails or it all takes
+// longer than `timeout` ms.
+// Calls share one load; after a failure the next call tries again.
+export function loadEighthWall({ appKey = import.meta.env.VITE_8THWALL_APP_KEY, timeout = XR_LOAD_TIMEOUT } = {}) {
+  if (loading) return loading
+
+  let timer
+  loading = Promise.race([
+    load(appKey),
+    new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(loadError(`8th Wall did not load within ${timeout} ms`)), timeout)
+    }),
+  ]).finally(() => clearTimeout(timer))
+
+  loading.catch(() => {
+    loading = null
+  })
+  return loading
+}
+
+export const getXRLoadProgress = () => progress
+
+const subscribe = (listener) => {
+  listeners.add(listener)
+  return () => listeners.delete(listener)
+}
+
+export const useXRLoadProgress = () => useSyncExternalStore(subscribe, getXRLoadProgress)
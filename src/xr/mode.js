@@ -0,0 +1,27 @@
+import { useSyncExternalStore } from 'react'
+
+// How the experience renders: null while waiting for 8th Wall, 'ar' through
+// its camera pipeline, or 'desktop' as a plain orbitable 3D preview. Set by
+// <EightWallBridge>, read by it and by the DOM overlays.
+let mode = null
+const listeners = new Set()
+
+// The mode asked for in the query string (?mode=desktop), if any
+export function getRequestedMode(search = window.location.search) {
+  return new URLSearchParams(search).get('mode') === 'desktop' ? 'desktop' : null
+}
+
+export const getXRMode = () => mode
+
+export const setXRMode = (next) => {
+  if (next === mode) return
+  mode = next
+  listeners.forEach((listener) => listener())
+}
+
+export const subscribeXRMode = (listener) => {
+  listeners.add(listener)
+  return () => listeners.delete(listener)
+}
+
+export const useXRMode = () => useSyncExternalStore(subscribeXRMode, getXRMode)
@@ -0,0 +1,52 @@
+import { useEffect } from 'react'
+
+// Camera pipeline modules added by components (frame analyzers, recorders...)
+// on top of the bridge's own. A session starts with them all, sorted by
+// `order` and then by when they were added, after the bridge's modules.
+// Modules added while it runs are attached right away, which puts them last
+// until the next session; removing one detaches it. Neither restarts XR.
+const entries = []
+let sequence = 0
+// XR8 while a session is running
+let engine = null
+
+export const getPipelineModules = () =>
+  [...entries]
+    .sort((a, b) => a.order - b.order || a.sequence - b.sequence)
+    .map((entry) => entry.module)
+
+// Registers `module`; returns the unregister function. Names must be unique,
+// since 8th Wall removes modules by name.
+export function addPipelineModule(module, { order = 0 } = {}) {
+  if (entries.some((entry) => entry.module.name === module.name)) {
+    console.warn(`Camera pipeline module "${module.name}" is already added`)
+    return () => {}
+  }
+
+  const entry = { module, order, sequence: sequence++ }
+  entries.push(entry)
+  engine?.addCameraPipelineModule(module)
+
+  return () => {
+    const index = entries.indexOf(entry)
+    if (index === -1) return
+    entries.splice(index, 1)
+    engine?.removeCameraPipelineModule(module.name)
+  }
+}
+
+// Called by the bridge with XR8 once its session has the modules, and with
+// null when it stops
+export const setPipelineEngine = (xr8) => {
+  engine = xr8
+}
+
+// Keeps `module` in the camera pipeline while the calling component is
+// mounted. Pass a stable object (e.g. from useMemo); a new one replaces the
+// old, and null adds nothing.
+export function useXRPipelineModule(module, { order = 0 } = {}) {
+  useEffect(() => {
+    if (!module) return
+    return addPipelineModule(module, { order })
+  }, [module, order])
+}
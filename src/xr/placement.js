@@ -0,0 +1,43 @@
+import { useSyncExternalStore } from 'react'
+
+// Where the scene root sits in the world. The session starts out placing:
+// <PlacementRoot> shows a reticle on the surface under the screen center and
+// a tap puts the root there. `startPlacing` (the Move action) repeats that.
+const INITIAL_PLACEMENT = { placing: true, position: [0, 0, 0], yaw: 0 }
+let placement = INITIAL_PLACEMENT
+const listeners = new Set()
+
+const setPlacement = (next) => {
+  placement = { ...placement, ...next }
+  listeners.forEach((listener) => listener())
+}
+
+export const getPlacement = () => placement
+
+export const subscribePlacement = (listener) => {
+  listeners.add(listener)
+  return () => listeners.delete(listener)
+}
+
+export const startPlacing = () => setPlacement({ placing: true })
+
+// Places the root at `position`, turned by `yaw` around the vertical axis
+export const placeAt = (position, yaw) => setPlacement({ placing: false, position, yaw })
+
+// Back to placing, as at the start of a session
+export const resetPlacement = () => setPlacement(INITIAL_PLACEMENT)
+
+// Camera pipeline module resetting the placement when a session starts or
+// stops, so a restart or a new route never inherits the last spot
+export function placementPipelineModule() {
+  return {
+    name: 'placement',
+    onAttach: resetPlacement,
+    onDetach: resetPlacement,
+  }
+}
+
+export const usePlacement = () => useSyncExternalStore(subscribePlacement, getPlacement)
+
+// Resets world tracking so the camera's current pose becomes the origin again
+export const recenter = () => window.XR8?.XrController?.recenter()
@@ -0,0 +1,21 @@
+import { useSyncExternalStore } from 'react'
+
+// The scene the current experience shows in the shared XR canvas, and the XR
+// config it wants. <XRScene> fills it from the experience's DOM tree and
+// <XRShell> renders it inside the canvas, which outlives route changes.
+let slot = { children: null, xr: {} }
+const listeners = new Set()
+
+export const setXRSceneSlot = (next) => {
+  slot = next
+  listeners.forEach((listener) => listener())
+}
+
+export const getXRSceneSlot = () => slot
+
+const subscribe = (listener) => {
+  listeners.add(listener)
+  return () => listeners.delete(listener)
+}
+
+export const useXRSceneSlot = () => useSyncExternalStore(subscribe, getXRSceneSlot)
@@ -0,0 +1,70 @@
+import { useSyncExternalStore } from 'react'
+
+// State of the running 8th Wall session, fed by xrSessionPipelineModule (or
+// the desktop preview) and read through the hooks below from anywhere, inside
+// the canvas or not.
+//   status:   'loading' until the camera runs, then 'running' or 'paused';
+//             'failed' on camera or engine errors, 'stopped' once detached
+//   tracking: { state: 'normal' | 'limited' | 'unavailable', reason }, the
+//             reason being 8th Wall's, e.g. 'TOO_MUCH_MOTION'
+const NO_TRACKING = { state: 'unavailable', reason: 'INITIALIZING' }
+let state = { status: 'loading', tracking: NO_TRACKING }
+const listeners = new Set()
+
+const update = (next) => {
+  state = { ...state, ...next }
+  listeners.forEach((listener) => listener())
+}
+
+const subscribe = (listener) => {
+  listeners.add(listener)
+  return () => listeners.delete(listener)
+}
+
+const TRACKING_STATES = { NORMAL: 'normal', LIMITED: 'limited' }
+
+const setTracking = (status, reason) => {
+  const tracking = { state: TRACKING_STATES[status] ?? 'unavailable', reason: reason ?? null }
+  if (tracking.state !== state.tracking.state || tracking.reason !== state.tracking.reason) {
+    update({ tracking })
+  }
+}
+
+export const getXRSession = () => state
+
+// Camera pipeline module keeping the session state current
+export function xrSessionPipelineModule() {
+  return {
+    name: 'xrsession',
+    onAttach: () => update({ status: 'loading' }),
+    onStart: () => update({ status: 'running' }),
+    onPaused: () => update({ status: 'paused' }),
+    onResume: () => update({ status: 'running' }),
+    onCameraStatusChange: ({ status }) => {
+      if (status === 'failed') update({ status: 'failed' })
+    },
+    onException: () => update({ status: 'failed' }),
+    onUpdate: ({ processCpuResult }) => {
+      const reality = processCpuResult?.reality
+      if (reality) setTracking(reality.trackingStatus, reality.trackingReason)
+    },
+    listeners: [
+      {
+        event: 'reality.trackingstatus',
+        process: ({ detail }) => setTracking(detail.status, detail.reason),
+      },
+    ],
+    onDetach: () => update({ status: 'stopped', tracking: NO_TRACKING }),
+  }
+}
+
+// The desktop preview runs without 8th Wall, and without anything to track.
+// Returns the function stopping it.
+export function startPreviewSession() {
+  update({ status: 'running', tracking: { state: 'normal', reason: null } })
+  return () => update({ status: 'stopped', tracking: NO_TRACKING })
+}
+
+export const useXRStatus = () => useSyncExternalStore(subscribe, () => state.status)
+
+export const useTrackingState = () => useSyncExternalStore(subscribe, () => state.tracking)
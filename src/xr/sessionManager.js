@@ -0,0 +1,156 @@
+import { useSyncExternalStore } from 'react'
+import { getPipelineModules, setPipelineEngine } from './pipelineModules'
+
+// Owns the one 8th Wall session on the page, since XR8 is global.
+//
+// Stopping is deferred by a tick and cancelled by a start on the same canvas,
+// so StrictMode's unmount/remount (or an effect re-running with new image
+// targets) keeps the session instead of tearing the camera down and racing a
+// second run. Pausing covers both the camera (XR8.pause) and, through
+// useXRPaused, the R3F frame loop that steps the cloth.
+let session = null
+// null while running, otherwise who paused: 'user' or 'page'
+let pausedBy = null
+const listeners = new Set()
+
+const setPausedBy = (next) => {
+  if (next === pausedBy) return
+  pausedBy = next
+  listeners.forEach((listener) => listener())
+}
+
+async function run(current) {
+  const { XR8 } = window
+  const allowedDevices = current.runConfig?.allowedDevices
+  if (XR8.XrDevice && !XR8.XrDevice.isDeviceBrowserCompatible({ allowedDevices })) {
+    const reasons = XR8.XrDevice.incompatibleReasons({ allowedDevices })
+    const error = new Error(`Browser or device not supported: ${reasons.join(', ')}`)
+    error.name = 'NotSupportedError'
+    throw error
+  }
+
+  XR8.clearCameraPipelineModules?.()
+  XR8.addCameraPipelineModules([
+    ...current.modules,
+    // Added by components through useXRPipelineModule
+    ...getPipelineModules(),
+  ])
+  // Later registrations go straight into the running session
+  setPipelineEngine(XR8)
+
+  current.configure?.(XR8)
+  if (current.imageTargets?.length) {
+    XR8.XrController?.configure({ imageTargets: current.imageTargets })
+  }
+
+  await XR8.run({ canvas: current.canvas, ...current.runConfig })
+  if (pausedBy && session === current) XR8.pause?.()
+}
+
+function stopNow() {
+  clearTimeout(session.stopTimer)
+  session = null
+  setPipelineEngine(null)
+  window.XR8?.stop?.()
+  window.XR8?.clearCameraPipelineModules?.()
+}
+
+// Pipeline module names and run config: what can't change without a restart
+const signature = (modules, runConfig) => JSON.stringify([modules.map((module) => module.name), runConfig])
+
+// Runs XR8 on `canvas` with the camera pipeline `modules` (the registered
+// ones are appended), `imageTargets` to track and `runConfig` for XR8.run.
+// `configure(XR8)`, if given, runs before every XR8.run, e.g. to configure a
+// controller. Returns a promise for the run. Called again on the same canvas,
+// it keeps the running session and only applies new image targets, unless the
+// modules or run config changed (e.g. world to face tracking), which restarts
+// it in place.
+export function startSession({ canvas, modules, imageTargets, runConfig, configure }) {
+  if (session?.canvas === canvas && session.signature !== signature(modules, runConfig)) {
+    stopNow()
+  }
+
+  if (session?.canvas === canvas) {
+    clearTimeout(session.stopTimer)
+    if (JSON.stringify(imageTargets ?? []) !== JSON.stringify(session.imageTargets ?? [])) {
+      session.imageTargets = imageTargets
+      window.XR8.XrController?.configure({ imageTargets: imageTargets ?? [] })
+    }
+    return session.running
+  }
+
+  if (session) stopNow()
+  const current = {
+    canvas,
+    modules,
+    imageTargets,
+    runConfig,
+    configure,
+    signature: signature(modules, runConfig),
+    stopTimer: null,
+  }
+  session = current
+  current.running = run(current)
+  return current.running
+}
+
+// Stops the session on the next tick unless it is started again before then
+export function stopSession() {
+  if (!session) return
+  const current = session
+  clearTimeout(current.stopTimer)
+  current.stopTimer = setTimeout(() => {
+    if (session === current) stopNow()
+  })
+}
+
+// Pauses the camera and the simulation until resume()
+export function pause(by = 'user') {
+  if (pausedBy) return
+  setPausedBy(by)
+  if (session) window.XR8?.pause?.()
+}
+
+export function resume() {
+  if (!pausedBy) return
+  setPausedBy(null)
+  if (session) window.XR8?.resume?.()
+}
+
+export const hasSession = () => session !== null
+
+// Tears the session down and runs it again with the same settings, picking
+// up the pipeline modules registered since
+export function restart() {
+  if (!session) return Promise.resolve()
+  const { canvas, modules, imageTargets, runConfig, configure } = session
+  stopNow()
+  return startSession({ canvas, modules, imageTargets, runConfig, configure })
+}
+
+// Pauses while the page is hidden (tab switched, app backgrounded, page put
+// in the back/forward cache) and resumes when it's back, unless the pause was
+// explicit. Returns the function removing the listeners.
+export function watchPageVisibility() {
+  const handleHide = () => pause('page')
+  const handleShow = () => {
+    if (pausedBy === 'page') resume()
+  }
+  const handleVisibilityChange = () => (document.hidden ? handleHide() : handleShow())
+
+  document.addEventListener('visibilitychange', handleVisibilityChange)
+  window.addEventListener('pagehide', handleHide)
+  window.addEventListener('pageshow', handleShow)
+  return () => {
+    document.removeEventListener('visibilitychange', handleVisibilityChange)
+    window.removeEventListener('pagehide', handleHide)
+    window.removeEventListener('pageshow', handleShow)
+  }
+}
+
+const subscribe = (listener) => {
+  listeners.add(listener)
+  return () => listeners.delete(listener)
+}
+
+export const useXRPaused = () => useSyncExternalStore(subscribe, () => pausedBy !== null)
@@ -0,0 +1,217 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import { createFakeXR8 } from './fakeXR8.js'
+import { hasSession, pause, restart, resume, startSession, stopSession } from './sessionManager.js'
+import { addPipelineModule } from './pipelineModules.js'
+import { xrSessionPipelineModule, getXRSession } from './session.js'
+import { clearXRError, getXRError, xrErrorPipelineModule } from './errors.js'
+import { touchPipelineModule } from './touch.js'
+
+// Module recording its lifecycle calls into `log` as 'name.hook'
+const recorder = (name, log, hooks = {}) => {
+  const module = { name }
+  for (const hook of ['onBeforeRun', 'onAttach', 'onCameraStatusChange', 'onStart', 'onUpdate', 'onRender', 'onDetach']) {
+    module[hook] = (args) => {
+      log.push(`${name}.${hook}`)
+      return hooks[hook]?.(args)
+    }
+  }
+  return module
+}
+
+const createCanvas = () => Object.assign(new EventTarget(), { width: 640, height: 480 })
+
+const stopNow = () => {
+  stopSession()
+  vi.runAllTimers()
+}
+
+describe('sessionManager with the fake XR8', () => {
+  let fake
+  let canvas
+
+  beforeEach(() => {
+    vi.useFakeTimers()
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+    fake = createFakeXR8({ frameInterval: 0, createRenderer: () => ({ render: () => {}, getContext: () => null }) })
+    vi.stubGlobal('window', { XR8: fake.XR8 })
+    canvas = createCanvas()
+  })
+
+  afterEach(() => {
+    stopNow()
+    clearXRError()
+    vi.unstubAllGlobals()
+    vi.restoreAllMocks()
+    vi.useRealTimers()
+  })
+
+  it('adds the modules and configures before running, in order', () => {
+    const log = []
+    const removeExtra = addPipelineModule(recorder('extra', log))
+    startSession({
+      canvas,
+      modules: [recorder('first', log), recorder('second', log)],
+      imageTargets: ['poster'],
+      runConfig: { allowedDevices: 'any' },
+    })
+
+    expect(fake.calls.slice(0, 6)).toEqual([
+      { name: 'clearCameraPipelineModules' },
+      { name: 'addCameraPipelineModule', detail: 'first' },
+      { name: 'addCameraPipelineModule', detail: 'second' },
+      { name: 'addCameraPipelineModule', detail: 'extra' },
+      { name: 'XrController.configure', detail: { imageTargets: ['poster'] } },
+      { name: 'run', detail: { allowedDevices: 'any' } },
+    ])
+    expect(log.slice(0, 9)).toEqual([
+      'first.onBeforeRun',
+      'second.onBeforeRun',
+      'extra.onBeforeRun',
+      'first.onAttach',
+      'second.onAttach',
+      'extra.onAttach',
+      'first.onCameraStatusChange',
+      'second.onCameraStatusChange',
+      'extra.onCameraStatusChange',
+    ])
+    expect(log.filter((entry) => entry.endsWith('.onStart'))).toEqual(['first.onStart', 'second.onStart', 'extra.onStart'])
+
+    // Unregistering takes it out of the running session
+    removeExtra()
+    expect(fake.calls.at(-1)).toEqual({ name: 'removeCameraPipelineModule', detail: 'extra' })
+    expect(log.at(-1)).toBe('extra.onDetach')
+  })
+
+  it('starts the camera within XR8.run, with no await in between', () => {
+    startSession({ canvas, modules: [xrSessionPipelineModule()] })
+    expect(fake.isRunning()).toBe(true)
+    expect(getXRSession().status).toBe('running')
+  })
+
+  it('holds the start back until onBeforeRun promises settle', async () => {
+    let ready
+    const log = []
+    startSession({
+      canvas,
+      modules: [recorder('slow', log, { onBeforeRun: () => new Promise((resolve) => (ready = resolve)) })],
+    })
+    expect(fake.isRunning()).toBe(false)
+
+    ready()
+    await Promise.resolve()
+    await Promise.resolve()
+    expect(fake.isRunning()).toBe(true)
+    expect(log).toContain('slow.onStart')
+  })
+
+  it('stops on the next tick and detaches every module', () => {
+    const log = []
+    startSession({ canvas, modules: [recorder('first', log), xrSessionPipelineModule()] })
+
+    stopSession()
+    expect(fake.isRunning()).toBe(true)
+    vi.runAllTimers()
+
+    expect(fake.isRunning()).toBe(false)
+    expect(fake.modules).toHaveLength(0)
+    expect(log).toContain('first.onDetach')
+    expect(getXRSession().status).toBe('stopped')
+
+    // Nothing reaches the stopped engine any more
+    const calls = fake.calls.length
+    addPipelineModule(recorder('late', log))()
+    expect(fake.calls).toHaveLength(calls)
+  })
+
+  it('keeps the session when started again on the same canvas before the stop', () => {
+    const modules = [xrSessionPipelineModule()]
+    startSession({ canvas, modules })
+    stopSession()
+    startSession({ canvas, modules })
+    vi.runAllTimers()
+
+    expect(fake.isRunning()).toBe(true)
+    expect(fake.calls.filter(({ name }) => name === 'run')).toHaveLength(1)
+  })
+
+  it('pauses and resumes the camera', () => {
+    startSession({ canvas, modules: [xrSessionPipelineModule()] })
+    pause()
+    expect(fake.XR8.isPaused()).toBe(true)
+    expect(getXRSession().status).toBe('paused')
+
+    resume()
+    expect(fake.XR8.isPaused()).toBe(false)
+    expect(getXRSession().status).toBe('running')
+  })
+
+  it('restarts in place with the same settings and the modules registered since', () => {
+    const log = []
+    startSession({ canvas, modules: [recorder('first', log)], runConfig: { allowedDevices: 'any' } })
+    const removeLate = addPipelineModule(recorder('late', log))
+    log.length = 0
+
+    restart()
+    removeLate()
+    expect(hasSession()).toBe(true)
+    expect(fake.calls.filter(({ name }) => name === 'run').map(({ detail }) => detail)).toEqual([
+      { allowedDevices: 'any' },
+      { allowedDevices: 'any' },
+    ])
+    expect(log).toEqual(expect.arrayContaining(['first.onDetach', 'late.onDetach', 'first.onStart', 'late.onStart']))
+    expect(log.indexOf('first.onDetach')).toBeLessThan(log.indexOf('first.onStart'))
+  })
+
+  it('reports a module throwing mid-frame and keeps the frame going', () => {
+    const log = []
+    startSession({
+      canvas,
+      modules: [
+        xrErrorPipelineModule(),
+        xrSessionPipelineModule(),
+        recorder('broken', log, {
+          onUpdate: () => {
+            throw new Error('Broken module')
+          },
+        }),
+        recorder('after', log),
+      ],
+    })
+
+    fake.step()
+    expect(getXRError()).toMatchObject({ kind: 'runtime', error: { message: 'Broken module' } })
+    expect(getXRSession().status).toBe('failed')
+    expect(log).toContain('after.onUpdate')
+    expect(log).toContain('after.onRender')
+  })
+
+  it('rejects when the device is not supported', async () => {
+    fake.XR8.XrDevice = {
+      isDeviceBrowserCompatible: () => false,
+      incompatibleReasons: () => ['UNSUPPORTED_BROWSER'],
+    }
+    await expect(startSession({ canvas, modules: [] })).rejects.toMatchObject({ name: 'NotSupportedError' })
+    expect(fake.calls.some(({ name }) => name === 'run')).toBe(false)
+  })
+
+  it('keeps touch drags on the canvas from scrolling the page while its module is in', () => {
+    const touchmove = () => {
+      const event = new Event('touchmove', { cancelable: true })
+      canvas.dispatchEvent(event)
+      return event.defaultPrevented
+    }
+
+    startSession({ canvas, modules: [] })
+    // Joins the running session, like the bridge's content does
+    const removeTouch = addPipelineModule(touchPipelineModule())
+    expect(touchmove()).toBe(true)
+
+    removeTouch()
+    expect(touchmove()).toBe(false)
+
+    const removeAgain = addPipelineModule(touchPipelineModule())
+    stopNow()
+    expect(touchmove()).toBe(false)
+    removeAgain()
+  })
+})
@@ -0,0 +1,20 @@
+// Camera pipeline module keeping touch drags on the XR canvas from scrolling
+// the page. Taps are left to scene content and placement; recentering is a
+// button in the overlay. Attaches whenever it's added, so it can join a
+// running session.
+export function touchPipelineModule() {
+  const handleTouchMove = (event) => event.preventDefault()
+  let target = null
+
+  return {
+    name: 'touch',
+    onAttach: ({ canvas }) => {
+      target = canvas
+      target.addEventListener('touchmove', handleTouchMove, { passive: false })
+    },
+    onDetach: () => {
+      target?.removeEventListener('touchmove', handleTouchMove)
+      target = null
+    },
+  }
+}